@@ -9,13 +9,53 @@
  * - WebSocket connection for blocking rules + live activity relay
  * - Message relay from content scripts
  * - Immediate tab-open / tab-close reporting
+ * - Local session history (IndexedDB) for offline use
  */
 
-import { sanitizeUrl, sanitizeTrackingData } from '../utils/privacyFilter.js';
-import { sendTrackingLog, sendBatchLogs, isAuthenticated } from '../utils/api.js';
-import { enqueue, getQueue, clearQueue, dequeue, getSetting } from '../utils/storage.js';
-import { connectWebSocket, sendHeartbeat, isConnected, sendMessage } from '../utils/websocket.js';
-import { blockDomain, unblockDomain, syncBlockedDomains } from '../blocking/dynamicRules.js';
+import {
+    sanitizeUrl, sanitizeTrackingData, filterOutgoing, getPrivacyPolicy, allowsContent, setPrivacyLevel,
+    addRedactedDomain, removeRedactedDomain,
+} from '../utils/privacyFilter.js';
+import {
+    sendTrackingLog, sendBatchLogs, isAuthenticated, getPendingChapter, setChapterVideo, matchVideo,
+    handleProxyRequest,
+} from '../utils/api.js';
+import { clearSession, getSessionExpired, SESSION_EXPIRED_KEY } from '../utils/auth.js';
+import {
+    enqueue, dequeue, nextSyncChunk, settleSyncChunk, getQueueSize, getSetting, newIdempotencyKey, QUEUE_WARNING_KEY,
+} from '../utils/storage.js';
+import {
+    connectWebSocket, onAck, sendHeartbeat, isConnected, needsConnection, getConnectionState, sendMessage, disconnect,
+} from '../utils/websocket.js';
+import {
+    getEnvironment, listEnvironments, setEnvironment, publishEnvironment, isDashboardHost,
+} from '../utils/config.js';
+import {
+    blockDomain, unblockDomain, syncBlockedDomains, ruleKey, reconcileRules, getRuleUsage,
+} from '../blocking/dynamicRules.js';
+import {
+    SCHEDULE_ALARM, evaluateSchedules, getSchedules, getActiveSchedules, addSchedule, removeSchedule,
+} from '../blocking/schedules.js';
+import {
+    BUDGET_RESET_ALARM, resetBudgetsIfNewDay, recordBudgetUsage, getBudgetStatus, addBudget, removeBudget,
+} from '../blocking/budgets.js';
+import {
+    FOCUS_ALARM, getFocusStatus, startFocusSession, stopFocusSession,
+    advanceFocusPhase, touchFocusSession, recordFocusInterruption,
+} from '../blocking/focusSession.js';
+import {
+    UNLOCK_ALARM, getUnlockPolicy, getUnlockLog, beginUnlock, confirmUnlock, expireUnlocks, reportUnlocks,
+    acknowledgeUnlockReport,
+} from '../blocking/unlocks.js';
+import {
+    recordScroll, getScrollEngagement, isDoomscrolling, resetScrollWindow,
+    clearTabEngagement, exportEngagement, restoreEngagement,
+    setAttentionTab, setWindowFocused, setIdleState, recordFocus, drainAttention,
+    clearTabAttention, exportAttention, restoreAttention,
+} from '../utils/engagement.js';
+import { recordSession, getDayTimeline, pruneHistory, dayKey } from '../utils/history.js';
+import { classifyDomain, getSiteLists, ensureSiteLists, addSitePattern, removeSitePattern } from '../utils/siteLists.js';
+import { getChannelLists, channelListFor, addChannel, removeChannel, syncServerChannels } from '../utils/channelLists.js';
 
 
 // ═══════════════════════════════════════════════════════════
@@ -31,12 +71,6 @@ chrome.action.onClicked.addListener((tab) => {
 //  STATE
 // ═══════════════════════════════════════════════════════════
 
-const DEFAULT_DISTRACTING_DOMAINS = [
-    'youtube.com', 'reddit.com', 'twitter.com', 'x.com', 'instagram.com',
-    'facebook.com', 'tiktok.com', 'twitch.tv', '9gag.com', 'buzzfeed.com',
-    'netflix.com', 'primevideo.com', 'hotstar.com'
-];
-
 let activeTabId = null;
 let activeTabDomain = '';
 let sessionStart = null;
@@ -48,6 +82,7 @@ let focusLossTimeout = null;
 let isFinalizing = false;
 let currentPageTitle = null;
 let ytTabClassifications = {};
+let ytTabClassificationDetails = {}; // { score, confidence, reasons } from youtubeTracker's classifyVideo
 let tabPageTitles = {}; // Store page titles per tab to preserve across sessions
 
 // Keepalive for productive YouTube sessions — prevents idle from pausing
@@ -87,6 +122,16 @@ function stopYtKeepAlive() {
     }
 }
 
+/**
+ * The active YouTube tab's classification for the side panel, with the
+ * list its channel is on (null when the active tab isn't a video).
+ */
+async function describeYtClassification(tabId) {
+    const detail = tabId && activeTabDomain.includes('youtube.com') ? ytTabClassificationDetails[tabId] : null;
+    if (!detail) return null;
+    return { ...detail, channel_list: channelListFor(await getChannelLists(), detail.channel) };
+}
+
 // ── Session State Persistence (survives service worker sleep) ──
 async function saveSessionState() {
     await chrome.storage.local.set({
@@ -98,10 +143,26 @@ async function saveSessionState() {
             tabSwitches: tabSwitchCount,
             tabPageTitles: tabPageTitles,  // Persist per-tab titles
             ytTabClassifications: ytTabClassifications,  // Persist YT classifications
+            ytTabClassificationDetails: ytTabClassificationDetails,
+            engagement: exportEngagement(),  // Persist per-tab scroll engagement
+            attention: exportAttention(),  // Persist engaged/passive/hidden timeline
         }
     });
 }
 
+// Scroll and focus reports arrive every few seconds from each tab; their
+// engagement data only needs to survive a worker restart, not every update
+const SESSION_SAVE_DELAY_MS = 5000;
+let sessionSaveTimer = null;
+
+function scheduleSessionSave() {
+    if (sessionSaveTimer) return;
+    sessionSaveTimer = setTimeout(() => {
+        sessionSaveTimer = null;
+        saveSessionState();
+    }, SESSION_SAVE_DELAY_MS);
+}
+
 async function restoreSessionState() {
     const { _session } = await chrome.storage.local.get('_session');
     if (_session) {
@@ -112,6 +173,9 @@ async function restoreSessionState() {
         tabSwitchCount = _session.tabSwitches || 0;
         tabPageTitles = _session.tabPageTitles || {};  // Restore per-tab titles
         ytTabClassifications = _session.ytTabClassifications || {};  // Restore YT classifications
+        ytTabClassificationDetails = _session.ytTabClassificationDetails || {};
+        restoreEngagement(_session.engagement);
+        restoreAttention(_session.attention);
         console.log(`[Polaris] Restored session: ${activeTabDomain}, started ${sessionStart ? new Date(sessionStart).toISOString() : 'null'}`);
     }
 }
@@ -121,22 +185,25 @@ async function restoreSessionState() {
 //  LIVE ACTIVITY RELAY (sends to backend WS → frontend)
 // ═══════════════════════════════════════════════════════════
 
-function sendLiveActivity(data) {
+async function sendLiveActivity(data) {
     const activityData = {
         domain: data.domain || activeTabDomain || '',
         page_title: data.page_title || currentPageTitle || null,
         category: data.category || 'neutral',
         duration_seconds: data.duration_seconds || 0,
+        is_doomscrolling: activeTabId ? isDoomscrolling(activeTabId) : false,
         status: data.status || 'active',
         timestamp: new Date().toISOString(),
     };
     
     if (isConnected()) {
-        console.log(`[Live] Sending: ${activityData.domain} - "${activityData.page_title}" (${activityData.category})`);
+        // Same policy as the HTTP log path (see utils/privacyFilter.js)
+        const filtered = await filterOutgoing(activityData);
+        console.log(`[Live] Sending: ${filtered.domain} - "${filtered.page_title ?? '(redacted)'}" (${filtered.category ?? '—'})`);
         sendMessage({
             type: 'live_activity',
-            data: activityData,
-        });
+            data: filtered,
+        }, { buffer: false });
     } else {
         console.log(`[Live] WS not connected, cannot send: ${activityData.domain}`);
     }
@@ -153,11 +220,18 @@ chrome.alarms.create('tracking_flush', { periodInMinutes: 0.5 }); // 30 seconds
 // WebSocket heartbeat: Every 30 seconds to keep connection alive
 chrome.alarms.create('ws_heartbeat', { periodInMinutes: 0.5 });
 
+// Local history retention: hourly is plenty for a day-granular window
+chrome.alarms.create('history_prune', { periodInMinutes: 60 });
+
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     await initPromise;
     
     if (alarm.name === 'tracking_flush') {
         console.log(`[Alarm] tracking_flush fired - activeTabDomain=${activeTabDomain}, session=${sessionStart ? 'active' : 'null'}`);
+        // Mark the device awake before anything slow: a long queue flush
+        // would otherwise look like sleep to the focus session
+        await touchFocusSession().catch(e => console.log('[Focus] Touch failed:', e.message));
+
         // Flush active tracking session
         await finalizeCurrentSession();
         
@@ -166,16 +240,54 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
     
     if (alarm.name === 'ws_heartbeat') {
-        // WebSocket heartbeat or reconnect
+        // WebSocket heartbeat. The connection manager in utils/websocket.js
+        // reconnects on its own; this only restarts it after the service
+        // worker was suspended and its timers were lost.
         if (isConnected()) {
+            // Refreshes an access token that is about to expire; the
+            // auth_token listener below then reconnects with the new one
+            await isAuthenticated();
             sendHeartbeat();
-        } else {
+            reportUnlocks().catch(e => console.log('[Unlock] Report failed:', e.message));
+        } else if (needsConnection()) {
             const authed = await isAuthenticated();
             if (authed) {
                 initWebSocket();
             }
         }
     }
+
+    if (alarm.name === SCHEDULE_ALARM) {
+        await evaluateSchedules();
+        if (activeTabId) {
+            chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+        }
+    }
+
+    if (alarm.name === BUDGET_RESET_ALARM) {
+        await resetBudgetsIfNewDay();
+        if (activeTabId) {
+            chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+        }
+    }
+
+    if (alarm.name === UNLOCK_ALARM) {
+        const reblocked = await expireUnlocks();
+        if (reblocked.length > 0 && activeTabId) {
+            chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+        }
+    }
+
+    if (alarm.name === FOCUS_ALARM) {
+        await advanceFocusPhase();
+        if (activeTabId) {
+            chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+        }
+    }
+
+    if (alarm.name === 'history_prune') {
+        await pruneHistory().catch(e => console.log('[History] Prune failed:', e.message));
+    }
 });
 
 
@@ -186,13 +298,21 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     await initPromise;
     tabSwitchCount++;
+    await recordFocusInterruption();
     await handleTabChange(activeInfo.tabId);
 });
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
     await initPromise;
-    if (tabId === activeTabId && changeInfo.url) {
-        await handleTabChange(tabId);
+    if (changeInfo.url) {
+        if (tabId === activeTabId) {
+            await handleTabChange(tabId);
+        }
+        // New page — previous page's scroll engagement no longer applies
+        clearTabEngagement(tabId);
+        // SPA route changes (youtube.com/shorts, twitter.com/explore) never hit
+        // DNR, so path and regex rules are enforced by the overlay instead
+        chrome.tabs.sendMessage(tabId, { type: 'CHECK_BLOCK' }).catch(() => { });
     }
 });
 
@@ -200,7 +320,10 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     await initPromise;
     delete ytTabClassifications[tabId];
+    delete ytTabClassificationDetails[tabId];
     delete tabPageTitles[tabId]; // Clean up stored title
+    clearTabEngagement(tabId);
+    clearTabAttention(tabId);
 
     if (tabId === activeTabId) {
         console.log(`[LifeOS] Active tab ${tabId} closed, finalizing session for ${activeTabDomain}`);
@@ -215,6 +338,7 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
         sessionStart = null;
         currentPageTitle = null;
         tabSwitchCount = 0;
+        setAttentionTab(null);
         await chrome.storage.local.set({
             'yt_current_classification': 'none',
             'site_auto_classification': 'none',
@@ -229,8 +353,10 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
         // Just record that window lost focus, but don't pause immediately.
         // Let chrome.idle handle actual inactivity.
         isWindowFocused = false;
+        setWindowFocused(false);
     } else {
         isWindowFocused = true;
+        setWindowFocused(true);
 
         try {
             const [tab] = await chrome.tabs.query({ active: true, windowId: windowId });
@@ -255,6 +381,8 @@ chrome.idle.setDetectionInterval(300);
 chrome.idle.onStateChanged.addListener(async (state) => {
     await initPromise;
     console.log(`[Idle] State: ${state}`);
+    // Always feed the attention model, even when the pause below is suppressed
+    setIdleState(state);
 
     if (state === 'active') {
         isUserActive = true;
@@ -284,12 +412,27 @@ chrome.idle.onStateChanged.addListener(async (state) => {
 //  4. TRACKING LOGIC
 // ═══════════════════════════════════════════════════════════
 
+/**
+ * Re-apply the site lists to the active tab after they change. The session
+ * keeps running: its log category is looked up when it is finalized.
+ */
+async function reclassifyActiveSite() {
+    if (!activeTabId || !activeTabDomain || activeTabDomain === 'Polaris Dashboard') return;
+
+    const siteCategory = await classifyDomain(activeTabDomain);
+    await chrome.storage.local.set({
+        'site_auto_classification': activeTabDomain.includes('youtube.com') ? 'none' : siteCategory,
+    });
+    chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+}
+
 async function handleTabChange(tabId) {
     console.log(`[Track] handleTabChange called for tab ${tabId}`);
     
     // Finalize previous tracking period
     await finalizeCurrentSession();
     stopYtKeepAlive(); // New tab — stop any existing keepalive
+    setAttentionTab(tabId);
 
     // Start new session
     try {
@@ -299,6 +442,7 @@ async function handleTabChange(tabId) {
         if (!tab.url || tab.url.startsWith('chrome://')) {
             console.log(`[Track] Skipping non-trackable URL`);
             activeTabId = null;
+            setAttentionTab(null);
             activeTabDomain = '';
             currentPageTitle = null;
             await chrome.storage.local.set({
@@ -310,9 +454,9 @@ async function handleTabChange(tabId) {
             return;
         }
 
-        // Skip localhost / 127.0.0.1 — our own app pages shouldn't be tracked
+        // Skip localhost / 127.0.0.1 / the configured dashboard — our own app pages shouldn't be tracked
         const rawHostname = new URL(tab.url).hostname.toLowerCase();
-        if (rawHostname === '127.0.0.1' || rawHostname === 'localhost' || rawHostname === '0.0.0.0') {
+        if (rawHostname === '127.0.0.1' || rawHostname === 'localhost' || rawHostname === '0.0.0.0' || await isDashboardHost(rawHostname)) {
             console.log(`[Track] Dashboard detected: ${rawHostname}`);
             activeTabId = tabId;
             activeTabDomain = 'Polaris Dashboard';
@@ -333,15 +477,12 @@ async function handleTabChange(tabId) {
         // Reset classification for new domain
         await chrome.storage.local.set({ 'yt_current_classification': 'none' });
 
-        // Check if domain is in default distracting list
-        const isDistracting = DEFAULT_DISTRACTING_DOMAINS.some(d =>
-            activeTabDomain === d || activeTabDomain.endsWith('.' + d)
-        );
-        if (isDistracting && !activeTabDomain.includes('youtube.com')) {
-            await chrome.storage.local.set({ 'site_auto_classification': 'distracting' });
-        } else {
-            await chrome.storage.local.set({ 'site_auto_classification': 'none' });
-        }
+        // Classify against the user's site lists. YouTube is classified
+        // per video by youtubeTracker.js, not at the site level.
+        const siteCategory = await classifyDomain(activeTabDomain);
+        await chrome.storage.local.set({
+            'site_auto_classification': activeTabDomain.includes('youtube.com') ? 'none' : siteCategory,
+        });
 
         await saveSessionState();
 
@@ -353,11 +494,10 @@ async function handleTabChange(tabId) {
         }
 
         // IMMEDIATELY send live activity for new tab
-        const category = isDistracting ? 'distracting' : 'neutral';
         sendLiveActivity({
             domain: activeTabDomain,
             page_title: currentPageTitle || tab.title || null,
-            category: category,
+            category: siteCategory,
             status: 'active',
             duration_seconds: 0,
         });
@@ -366,6 +506,7 @@ async function handleTabChange(tabId) {
     } catch (e) {
         console.error(`[Track] handleTabChange error:`, e);
         activeTabId = null;
+        setAttentionTab(null);
         activeTabDomain = '';
         currentPageTitle = null;
         await saveSessionState();
@@ -406,7 +547,10 @@ async function finalizeCurrentSession() {
         const logDomain = activeTabDomain;
         let logTitle = currentPageTitle;
         const logSwitches = tabSwitchCount;
-        const wasActive = isWindowFocused;
+        const scroll = getScrollEngagement(activeTabId);
+        // Split the window by visibility / focus / idle / media instead of
+        // trusting the global isWindowFocused flag for the whole period
+        const attention = drainAttention(sessionStart, now, duration);
         
         // FIX: If currentPageTitle is null but we have a stored title for this tab, use it
         if (!logTitle && activeTabId && tabPageTitles[activeTabId]) {
@@ -417,6 +561,7 @@ async function finalizeCurrentSession() {
         // Reset state synchronously BEFORE await
         sessionStart = now;
         tabSwitchCount = 0;
+        resetScrollWindow(activeTabId);
         await saveSessionState();
 
         // If this is a YouTube tab, include the extension's video classification
@@ -429,17 +574,37 @@ async function finalizeCurrentSession() {
         const logEntry = {
             domain: logDomain,
             duration_seconds: duration,
+            engaged_seconds: attention.engaged_seconds,
+            passive_seconds: attention.passive_seconds,
+            hidden_seconds: attention.hidden_seconds,
             tab_switches: logSwitches,
-            scroll_depth: 0,
-            is_active: wasActive,
+            scroll_depth: scroll.scroll_depth,
+            scroll_velocity: scroll.scroll_velocity,
+            is_doomscrolling: scroll.is_doomscrolling,
+            is_active: attention.engaged_seconds > 0,
             timestamp: new Date().toISOString(),
             ...(logTitle ? { page_title: logTitle } : {}),
             ...(ytClassForLog ? { yt_classification: ytClassForLog } : {}),
         };
 
-        const sanitized = sanitizeTrackingData(logEntry);
+        // Keyed before the first send: if it times out after the backend stored
+        // it, the queued retry carries the same key and isn't counted twice
+        const sanitized = { ...sanitizeTrackingData(logEntry), idempotency_key: newIdempotencyKey() };
         console.log(`[Track] Log entry:`, JSON.stringify(sanitized));
 
+        // Keep a local copy regardless of backend reachability
+        const logCategory = (ytClassForLog === 'productive' || ytClassForLog === 'distracting')
+            ? ytClassForLog
+            : await classifyDomain(logDomain);
+        recordSession(sanitized, logCategory)
+            .catch(e => console.log('[History] Record failed:', e.message));
+
+        // Count visible time against daily budgets; a spent budget blocks via DNR
+        // and blocking_rules_map, which the overlay's storage listener picks up.
+        const visibleSeconds = attention.engaged_seconds + attention.passive_seconds;
+        recordBudgetUsage(logDomain, logCategory, visibleSeconds)
+            .catch(e => console.log('[Budget] Usage update failed:', e.message));
+
         try {
             const authed = await isAuthenticated();
             if (!authed) {
@@ -451,7 +616,7 @@ async function finalizeCurrentSession() {
             }
         } catch (error) {
             console.log('[Track] Queuing offline:', error.message);
-            await enqueue(sanitized);
+            await enqueue(sanitized, { attempted: !!error.mayHaveReachedServer });
         }
 
         // Also send live activity for real-time relay
@@ -494,23 +659,89 @@ function resumeTracking() {
 //  5. OFFLINE QUEUE FLUSH
 // ═══════════════════════════════════════════════════════════
 
+// Entries per /tracking/batch request; a failed request costs one chunk
+const QUEUE_SYNC_CHUNK = 50;
+// A partly acknowledged chunk is retried with backoff instead of on every flush
+const QUEUE_BACKOFF_BASE_MS = 60 * 1000;
+const QUEUE_BACKOFF_MAX_MS = 30 * 60 * 1000;
+let queueFlushing = false;
+let queueFailures = 0;
+let queueRetryAt = 0;
+
+function backOffQueue() {
+    queueFailures++;
+    const delay = Math.min(QUEUE_BACKOFF_BASE_MS * Math.pow(2, queueFailures - 1), QUEUE_BACKOFF_MAX_MS);
+    queueRetryAt = Date.now() + delay;
+    console.log(`[Queue] Next retry in ${Math.round(delay / 1000)}s`);
+}
+
+/**
+ * idempotency_keys of a chunk the backend has dealt with. Per-item results
+ * are { idempotency_key, status: 'ingested' | 'duplicate' | 'rejected' | 'error' };
+ * 'rejected' entries are invalid and would fail forever, so they are
+ * dropped too. Without per-item results only a complete ingest counts.
+ */
+function acknowledgedKeys(chunk, result) {
+    if (Array.isArray(result?.results)) {
+        const keys = [];
+        for (const item of result.results) {
+            if (item.status === 'rejected') {
+                console.log(`[Queue] Entry ${item.idempotency_key} rejected: ${item.error || 'no reason'}`);
+            }
+            if (['ingested', 'duplicate', 'rejected'].includes(item.status)) {
+                keys.push(item.idempotency_key);
+            }
+        }
+        return keys;
+    }
+    return result?.ingested === chunk.length ? chunk.map(entry => entry.idempotency_key) : [];
+}
+
 async function flushOfflineQueue() {
-    const queue = await getQueue();
-    if (queue.length === 0) return;
+    if (queueFlushing || Date.now() < queueRetryAt) return;
+    const total = await getQueueSize();
+    if (total === 0) return;
 
-    console.log(`[Queue] Flushing ${queue.length} entries`);
+    queueFlushing = true;
+    console.log(`[Queue] Flushing ${total} entries`);
 
     try {
         const authed = await isAuthenticated();
         if (!authed) return;
 
-        const result = await sendBatchLogs(queue);
-        if (result && result.ingested > 0) {
-            await clearQueue();
-            console.log(`[Queue] Synced ${result.ingested} entries`);
+        // Oldest first (IndexedDB overflow, then the storage queue); bounded
+        // so entries queued meanwhile wait for the next flush
+        let synced = 0;
+        for (let sent = 0; sent < total; sent += QUEUE_SYNC_CHUNK) {
+            const chunk = await nextSyncChunk(QUEUE_SYNC_CHUNK);
+            if (chunk.length === 0) break;
+
+            const keys = chunk.map(entry => entry.idempotency_key);
+            let result;
+            try {
+                result = await sendBatchLogs(chunk);
+            } catch (error) {
+                await settleSyncChunk(chunk, error.mayHaveReachedServer ? keys : []);
+                throw error;
+            }
+            const acknowledged = acknowledgedKeys(chunk, result);
+            await dequeue(acknowledged);
+            // The backend saw the rest and may have stored some of them
+            await settleSyncChunk(chunk, keys.filter(key => !acknowledged.includes(key)));
+            synced += acknowledged.length;
+
+            if (acknowledged.length < chunk.length) {
+                console.log(`[Queue] ${chunk.length - acknowledged.length} entries not acknowledged, will retry`);
+                backOffQueue();
+                return;
+            }
         }
+        queueFailures = 0;
+        console.log(`[Queue] Synced ${synced} of ${total} entries`);
     } catch (error) {
         console.log('[Queue] Flush failed, will retry:', error.message);
+    } finally {
+        queueFlushing = false;
     }
 }
 
@@ -519,25 +750,44 @@ async function flushOfflineQueue() {
 //  6. WEBSOCKET FOR BLOCKING RULES + LIVE RELAY
 // ═══════════════════════════════════════════════════════════
 
+// A bypass only counts as reported once the server has it
+onAck((id) => {
+    acknowledgeUnlockReport(id).catch(e => console.log('[Unlock] Ack failed:', e.message));
+});
+
 function initWebSocket() {
+    // Block commands return their promise: the server is acked once applied
     connectWebSocket((message) => {
         console.log('[WS] Received:', message.type);
 
         switch (message.type) {
+            // Payload: { domain, path? } or { regex } (see ruleKey)
             case 'site_blocked':
-                blockDomain(message.data.domain);
-                break;
+                return blockDomain(ruleKey(message.data));
 
             case 'site_unblocked':
-                unblockDomain(message.data.domain);
-                break;
+                return unblockDomain(ruleKey(message.data));
 
             case 'blocked_list_sync':
-                syncBlockedDomains(message.data.domains || []);
-                break;
+                return syncBlockedDomains([
+                    ...(message.data.domains || []),
+                    ...(message.data.rules || []).map(ruleKey),
+                ].filter(Boolean));
 
-            case 'heartbeat_ack':
-                break;
+            // Channel rules set on the account. Payload: { channel }
+            // youtubeTracker re-classifies the open video from storage.
+            case 'channel_allowed':
+                return addChannel('allowed', message.data.channel, 'server');
+
+            case 'channel_blocked':
+                return addChannel('blocked', message.data.channel, 'server');
+
+            case 'channel_unlisted':
+                return removeChannel(message.data.channel, 'server');
+
+            // Payload: { allowed: [], blocked: [] }
+            case 'channel_list_sync':
+                return syncServerChannels(message.data);
 
             case 'live_tracking':
                 // Ignore — this is meant for the frontend dashboard
@@ -550,6 +800,34 @@ function initWebSocket() {
 }
 
 
+// The socket authenticates once, when it connects: follow token changes
+// made by any context (refresh, login, expiry, logout).
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+
+    if (changes.auth_token) {
+        const { oldValue, newValue } = changes.auth_token;
+        if (!newValue) {
+            disconnect();
+        } else if (oldValue && oldValue !== newValue) {
+            console.log('[WS] Token refreshed, reconnecting');
+            initWebSocket();
+        }
+    }
+
+    if (changes[SESSION_EXPIRED_KEY]?.newValue) {
+        try {
+            chrome.notifications.create('session-expired', {
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+                title: 'Polaris – Signed out',
+                message: 'Your session expired. Sign in again from the side panel; tracked time is kept and will sync.',
+            });
+        } catch (e) { }
+    }
+});
+
+
 // ═══════════════════════════════════════════════════════════
 //  7. MESSAGE HANDLER (Content Script → Background)
 // ═══════════════════════════════════════════════════════════
@@ -560,12 +838,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         try {
             switch (message.type) {
                 case 'SCROLL_UPDATE':
-                    if (sender.tab && sender.tab.id === activeTabId) {
-                        // Store scroll depth for next finalization
+                    if (sender.tab && message.data) {
+                        // Kept per tab so background tabs don't pollute the active log
+                        recordScroll(sender.tab.id, message.data);
+                        scheduleSessionSave();
                     }
                     return { ack: true };
 
                 case 'FOCUS_UPDATE':
+                    if (sender.tab && message.data) {
+                        recordFocus(sender.tab.id, message.data);
+                        scheduleSessionSave();
+                    }
                     return { ack: true };
 
                 case 'YOUTUBE_VIDEO_INFO':
@@ -575,6 +859,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                         const classification = message.data.classification;
 
                         ytTabClassifications[tabId] = classification;
+                        if (Array.isArray(message.data.reasons)) {
+                            const previous = ytTabClassificationDetails[tabId];
+                            ytTabClassificationDetails[tabId] = {
+                                classification,
+                                score: message.data.score,
+                                confidence: message.data.confidence,
+                                reasons: message.data.reasons,
+                                video_id: message.data.videoId,
+                                kind: message.data.kind || 'video',
+                                playlist: message.data.playlist || null,
+                                // The immediate report goes out before the channel has rendered
+                                channel: message.data.channel_name
+                                    || (previous?.video_id === message.data.videoId ? previous.channel : null),
+                            };
+                            console.log(`[YT] Tab ${tabId} classification reasons (score ${message.data.score}, confidence ${message.data.confidence}): ${message.data.reasons.join(', ')}`);
+                        }
                         
                         // Store page title per tab (not just for active tab)
                         if (message.data.title) {
@@ -622,8 +922,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                                 console.debug('[YT] Failed to send CHECK_BLOCK:', e.message);
                             }
                             
-                            // TRY TO MATCH TO ACTIVE CHAPTER AND UPDATE BACKEND (only if duration available)
-                            if (message.data.duration_seconds > 0) {
+                            // TRY TO MATCH TO ACTIVE CHAPTER AND UPDATE BACKEND (only if duration available,
+                            // or a live stream, which never has one). Shorts are never study material.
+                            if ((message.data.duration_seconds > 0 || message.data.is_live) && message.data.kind !== 'short') {
                                 const chapterMatch = await matchVideoToChapter({ ...message.data, tabId });
                                 if (chapterMatch && chapterMatch.matched) {
                                     console.log(`[YT] Matched to chapter: ${chapterMatch.chapter_title}`);
@@ -638,7 +939,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     return { ack: true };
 
                 case 'GET_STATUS':
-                    if (!isConnected()) {
+                    if (needsConnection()) {
                         initWebSocket();
                     }
                     return {
@@ -649,9 +950,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                             isDashboard: activeTabDomain === 'Polaris Dashboard',
                             isActive: isUserActive,
                             isFocused: isWindowFocused,
-                            queueSize: (await getQueue()).length,
+                            queueSize: await getQueueSize(),
+                            queueWarning: (await chrome.storage.local.get(QUEUE_WARNING_KEY))[QUEUE_WARNING_KEY] || null,
+                            sessionExpired: await getSessionExpired(),
                             wsConnected: isConnected(),
+                            connection: getConnectionState(),
+                            ytClassification: await describeYtClassification(activeTabId),
+                            scrollDepth: activeTabId ? getScrollEngagement(activeTabId).scroll_depth : 0,
+                            isDoomscrolling: activeTabId ? isDoomscrolling(activeTabId) : false,
                             blockingMode: await getSetting('blocking_mode', 'hard'),
+                            activeSchedules: await getActiveSchedules(),
+                            ruleUsage: await getRuleUsage(),
                         },
                     };
 
@@ -667,12 +976,130 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 case 'UPDATE_SETTING':
                     await chrome.storage.local.set({ [message.data.key]: message.data.value });
                     if (message.data.key === 'blocking_mode') {
-                        const blocked = await chrome.storage.local.get('blocking_rules_map');
-                        const domainList = Object.keys(blocked.blocking_rules_map || {});
-                        await syncBlockedDomains(domainList);
+                        // Install or drop DNR rules for every blocked key
+                        await reconcileRules();
+                    }
+                    if (message.data.key === 'history_retention_days') {
+                        await pruneHistory();
                     }
                     return { ack: true };
 
+                case 'GET_SITE_LISTS':
+                    return { ack: true, data: await getSiteLists() };
+
+                case 'ADD_SITE_PATTERN':
+                case 'REMOVE_SITE_PATTERN': {
+                    const lists = message.type === 'ADD_SITE_PATTERN'
+                        ? await addSitePattern(message.data.category, message.data.pattern)
+                        : await removeSitePattern(message.data.category, message.data.pattern);
+                    // Category schedules block whatever the lists currently contain
+                    await evaluateSchedules();
+                    // Re-classify the current tab so the overlay reacts immediately
+                    await reclassifyActiveSite();
+                    return { ack: true, data: lists };
+                }
+
+                case 'GET_CHANNEL_LISTS':
+                    return { ack: true, data: await getChannelLists() };
+
+                case 'ADD_CHANNEL':
+                    return { ack: true, data: await addChannel(message.data.list, message.data.channel) };
+
+                case 'REMOVE_CHANNEL':
+                    return { ack: true, data: await removeChannel(message.data.channel) };
+
+                case 'GET_SCHEDULES':
+                    return { ack: true, data: await getSchedules() };
+
+                case 'ADD_SCHEDULE':
+                case 'REMOVE_SCHEDULE': {
+                    const schedules = message.type === 'ADD_SCHEDULE'
+                        ? await addSchedule(message.data)
+                        : await removeSchedule(message.data.id);
+                    if (activeTabId) {
+                        chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+                    }
+                    return { ack: true, data: schedules };
+                }
+
+                case 'GET_BUDGETS':
+                    return { ack: true, data: await getBudgetStatus() };
+
+                case 'ADD_BUDGET':
+                    await addBudget(message.data);
+                    return { ack: true, data: await getBudgetStatus() };
+
+                case 'REMOVE_BUDGET':
+                    await removeBudget(message.data.id);
+                    if (activeTabId) {
+                        chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+                    }
+                    return { ack: true, data: await getBudgetStatus() };
+
+                case 'GET_UNLOCK_POLICY':
+                    return { ack: true, data: await getUnlockPolicy() };
+
+                case 'BEGIN_UNLOCK':
+                    return { ack: true, data: await beginUnlock(message.data.domain) };
+
+                case 'CONFIRM_UNLOCK':
+                    return { ack: true, data: await confirmUnlock(message.data.domain, message.data.reason) };
+
+                case 'GET_UNLOCK_LOG':
+                    return { ack: true, data: { policy: await getUnlockPolicy(), log: (await getUnlockLog()).slice(0, 10) } };
+
+                case 'GET_ENVIRONMENT':
+                    return { ack: true, data: await listEnvironments() };
+
+                case 'SET_ENVIRONMENT': {
+                    const before = await getEnvironment();
+                    const env = await setEnvironment(message.data.name, message.data.hosts);
+                    if (env.apiBase !== before.apiBase) {
+                        // A token from one backend is meaningless to another
+                        await clearSession();
+                        disconnect();
+                    } else if (env.wsUrl !== before.wsUrl) {
+                        disconnect();
+                        initWebSocket();
+                    }
+                    return { ack: true, data: await listEnvironments() };
+                }
+
+                case 'GET_FOCUS_SESSION':
+                    return { ack: true, data: await getFocusStatus() };
+
+                case 'START_FOCUS_SESSION':
+                    await startFocusSession(message.data || {});
+                    if (activeTabId) {
+                        chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+                    }
+                    return { ack: true, data: await getFocusStatus() };
+
+                case 'STOP_FOCUS_SESSION':
+                    await stopFocusSession();
+                    if (activeTabId) {
+                        chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
+                    }
+                    return { ack: true, data: await getFocusStatus() };
+
+                case 'GET_PRIVACY':
+                    return { ack: true, data: await getPrivacyPolicy() };
+
+                case 'SET_PRIVACY_LEVEL':
+                    return { ack: true, data: await setPrivacyLevel(message.data.level) };
+
+                case 'ADD_REDACTED_DOMAIN':
+                    return { ack: true, data: await addRedactedDomain(message.data.pattern) };
+
+                case 'REMOVE_REDACTED_DOMAIN':
+                    return { ack: true, data: await removeRedactedDomain(message.data.pattern) };
+
+                case 'GET_HISTORY':
+                    return {
+                        ack: true,
+                        data: await getDayTimeline(message.data?.day || dayKey()),
+                    };
+
                 case 'SET_PENDING_CHAPTER':
                     // Frontend signals which chapter user is searching YouTube for
                     if (message.data) {
@@ -681,15 +1108,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                     }
                     return { ack: true };
 
+                case 'API_REQUEST':
+                    // Content scripts reach the backend only through here
+                    return await handleProxyRequest(message.data);
+
                 case 'BLOCK_DOMAIN':
-                    await blockDomain(message.data.domain);
+                    await blockDomain(ruleKey(message.data));
                     if (activeTabId) {
                         chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
                     }
                     return { ack: true };
 
                 case 'UNBLOCK_DOMAIN':
-                    await unblockDomain(message.data.domain);
+                    await unblockDomain(ruleKey(message.data));
                     if (activeTabId) {
                         chrome.tabs.sendMessage(activeTabId, { type: 'CHECK_BLOCK' }).catch(() => { });
                     }
@@ -726,57 +1157,43 @@ async function matchVideoToChapter(videoData) {
             return null;
         }
 
+        // Both steps below send the video's URL, title and channel
+        if (!allowsContent(await getPrivacyPolicy(), 'youtube.com')) {
+            console.log('[Match] Privacy level keeps video details local - not matching');
+            return { matched: false, reason: 'privacy_level' };
+        }
+
         // ── STEP 1: Check PENDING chapter assignment (highest priority) ──
         // This is set when user clicks "Search on YouTube" from a specific chapter.
         try {
-            const pendingResponse = await fetch('http://127.0.0.1:8000/api/ai/pending-chapter', {
-                headers: {
-                    'Authorization': `Bearer ${auth_token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            if (pendingResponse.ok) {
-                const pendingData = await pendingResponse.json();
-                if (pendingData.pending) {
-                    const p = pendingData.pending;
-                    console.log(`[Match] PENDING chapter found: "${p.chapter_title}" (plan=${p.plan_id}, ch=${p.chapter_index})`);
-
-                    // Directly assign video to pending chapter
-                    const setVideoResponse = await fetch(`http://127.0.0.1:8000/api/ai/study-plan/${p.plan_id}/chapter/${p.chapter_index}/set-video`, {
-                        method: 'POST',
-                        headers: {
-                            'Authorization': `Bearer ${auth_token}`,
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            video_url: videoData.video_url,
-                            video_duration_seconds: videoData.duration_seconds || 0,
-                            video_id: videoData.videoId,
-                            video_title: videoData.title,
-                            creator_name: videoData.channel_name
-                        })
-                    });
-
-                    if (setVideoResponse.ok) {
-                        console.log(`[Match] ✓ Pending match: "${videoData.title}" → "${p.chapter_title}"`);
-                        return {
-                            plan_id: p.plan_id,
-                            chapter_index: p.chapter_index,
-                            chapter_title: p.chapter_title,
-                            matched: true,
-                            match_type: 'pending'
-                        };
-                    }
+            const pendingData = await getPendingChapter();
+            if (pendingData.pending) {
+                const p = pendingData.pending;
+                console.log(`[Match] PENDING chapter found: "${p.chapter_title}" (plan=${p.plan_id}, ch=${p.chapter_index})`);
 
+                // Directly assign video to pending chapter
+                let matchType = 'pending';
+                try {
+                    await setChapterVideo(p.plan_id, p.chapter_index, {
+                        video_url: videoData.video_url,
+                        video_duration_seconds: videoData.duration_seconds || 0,
+                        video_id: videoData.videoId,
+                        video_title: videoData.title,
+                        creator_name: videoData.channel_name
+                    });
+                    console.log(`[Match] ✓ Pending match: "${videoData.title}" → "${p.chapter_title}"`);
+                } catch (e) {
                     // Even if set-video failed (e.g., completed chapter lock), still return match for tracking
-                    return {
-                        plan_id: p.plan_id,
-                        chapter_index: p.chapter_index,
-                        chapter_title: p.chapter_title,
-                        matched: true,
-                        match_type: 'pending_rewatch'
-                    };
+                    matchType = 'pending_rewatch';
                 }
+
+                return {
+                    plan_id: p.plan_id,
+                    chapter_index: p.chapter_index,
+                    chapter_title: p.chapter_title,
+                    matched: true,
+                    match_type: matchType
+                };
             }
         } catch (e) {
             console.debug('[Match] Pending check failed:', e.message);
@@ -787,29 +1204,32 @@ async function matchVideoToChapter(videoData) {
         // and the video embedding. Thresholds: ≥0.70 = match, 0.60–0.70 = needs_confirmation.
         // set-video is also called internally by the backend on a successful match.
         try {
-            const matchResponse = await fetch('http://127.0.0.1:8000/api/ai/match-video', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${auth_token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
+            let matchData;
+            try {
+                matchData = await matchVideo({
                     video_title: videoData.title,
                     video_url: videoData.video_url,
                     video_id: videoData.videoId,
                     video_description: videoData.description || null,
                     duration_seconds: videoData.duration_seconds || 0,
-                    channel_name: videoData.channel_name || null
-                })
-            });
-
-            if (!matchResponse.ok) {
-                console.log(`[Match] /match-video returned ${matchResponse.status}`);
-                return { matched: false, reason: `http_${matchResponse.status}` };
+                    channel_name: videoData.channel_name || null,
+                    // YouTube's structured metadata (content/youtubePageData.js)
+                    category: videoData.category || null,
+                    tags: videoData.tags || [],
+                    chapters: videoData.chapters || [],
+                    is_live_content: !!videoData.is_live_content,
+                    is_live: !!videoData.is_live,
+                    // A learning playlist is matched as a unit
+                    playlist_id: videoData.playlist?.id || null,
+                    playlist_title: videoData.playlist?.title || null,
+                    playlist_index: videoData.playlist?.index || null,
+                });
+            } catch (e) {
+                if (!e.status) throw e;
+                console.log(`[Match] /match-video returned ${e.status}`);
+                return { matched: false, reason: `http_${e.status}` };
             }
 
-            const matchData = await matchResponse.json();
-
             if (!matchData.matched) {
                 const reason = matchData.reason || 'below_threshold';
                 console.log(`[Match] No semantic match for "${videoData.title}" → reason: ${reason}`);
@@ -828,6 +1248,13 @@ async function matchVideoToChapter(videoData) {
             if (videoData.classification === 'distracting' && videoData.tabId) {
                 console.log(`[Match] Upgrading tab ${videoData.tabId} classification: distracting → productive (NLP chapter match)`);
                 ytTabClassifications[videoData.tabId] = 'productive';
+                const detail = ytTabClassificationDetails[videoData.tabId];
+                ytTabClassificationDetails[videoData.tabId] = {
+                    ...detail,
+                    classification: 'productive',
+                    confidence: 1,
+                    reasons: [`study plan chapter "${matchData.chapter_title}"`, ...(detail?.reasons || [])],
+                };
                 await chrome.storage.local.set({ 'yt_current_classification': 'productive' });
                 await saveSessionState();
                 try {
@@ -868,6 +1295,15 @@ async function init() {
     }
 
     await restoreSessionState();
+    await ensureSiteLists();
+    await publishEnvironment();
+    await reconcileRules().catch(e => console.log('[Block] Reconcile failed:', e.message));
+
+    // Catch up on boundaries missed while the browser was closed
+    evaluateSchedules().catch(e => console.log('[Schedule] Evaluate failed:', e.message));
+    resetBudgetsIfNewDay().catch(e => console.log('[Budget] Day reset failed:', e.message));
+    advanceFocusPhase().catch(e => console.log('[Focus] Resume failed:', e.message));
+    expireUnlocks().catch(e => console.log('[Unlock] Expire failed:', e.message));
 
     const authed = await isAuthenticated();
     if (authed) {
@@ -896,7 +1332,7 @@ async function init() {
 
             // Skip localhost/self pages
             const hostname = new URL(tab.url).hostname.toLowerCase();
-            if (hostname === '127.0.0.1' || hostname === 'localhost' || hostname === '0.0.0.0') {
+            if (hostname === '127.0.0.1' || hostname === 'localhost' || hostname === '0.0.0.0' || await isDashboardHost(hostname)) {
                 activeTabId = null;
                 activeTabDomain = '';
                 sessionStart = null;
@@ -921,6 +1357,13 @@ async function init() {
         // No active tab
     }
 
+    // Seed the attention model with the state we just resolved
+    setAttentionTab(activeTabId);
+    setWindowFocused(isWindowFocused);
+    try {
+        setIdleState(await chrome.idle.queryState(300));
+    } catch (e) { }
+
     console.log(`[LifeOS] Ready. Tracking: ${activeTabDomain || 'none'}, session age: ${sessionStart ? Math.round((Date.now() - sessionStart) / 1000) + 's' : 'none'}`);
     console.log(`[LifeOS] Basic tracking: 30s intervals | Progress tracking: 10s (when matched to chapter)`);
 }
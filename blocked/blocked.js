@@ -0,0 +1,148 @@
+import { getStudyPlans, getStudyPlanProgress, isAuthenticated } from '../utils/api.js';
+import { getDashboardUrl } from '../utils/config.js';
+
+/**
+ * LifeOS – Blocked Page
+ * Target of the 'redirect' blocking mode (see blockRuleFor() in
+ * blocking/dynamicRules.js). Explains why the site is blocked and offers
+ * the next unfinished study-plan chapter instead.
+ */
+
+const ruleKey = new URLSearchParams(window.location.search).get('rule') || '';
+
+// Hosts a chapter's matched video may be resumed on
+const VIDEO_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be'];
+
+function formatClock(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * One line per source that currently blocks the rule key.
+ */
+async function describeSources() {
+    const storage = await chrome.storage.local.get([
+        'blocking_sources', 'block_schedules', 'budget_blocks', 'focus_session',
+    ]);
+    const sources = (storage.blocking_sources || {})[ruleKey] || ['manual'];
+
+    return sources.map(source => {
+        if (source === 'focus') {
+            const focus = storage.focus_session;
+            return focus
+                ? `A focus session is running until ${formatClock(focus.phase_ends_at)}.`
+                : 'A focus session is running.';
+        }
+        if (source.startsWith('schedule:')) {
+            const schedule = (storage.block_schedules || []).find(s => `schedule:${s.id}` === source);
+            return schedule
+                ? `Your ${schedule.start}–${schedule.end} focus schedule is active.`
+                : 'A focus schedule is active.';
+        }
+        if (source.startsWith('budget:')) {
+            const budget = (storage.budget_blocks || []).find(b => `budget:${b.id}` === source);
+            return budget
+                ? `Daily budget spent: ${budget.label}. Resets at ${formatClock(budget.resets_at)}.`
+                : 'Your daily budget for this site is spent.';
+        }
+        return 'This site is on your block list.';
+    });
+}
+
+/**
+ * The chapter's video URL if it is an https YouTube link, else null. It
+ * comes from the API and is navigated to, so nothing else gets through.
+ */
+function safeVideoUrl(raw) {
+    try {
+        const url = new URL(raw);
+        return url.protocol === 'https:' && VIDEO_HOSTS.includes(url.hostname) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * First unfinished chapter across the user's study plans (plans in API
+ * order, chapters in chapter order).
+ * @returns {Promise<Object|null>} { plan, chapter, chapterProgress }
+ */
+async function findNextChapter() {
+    const plans = await getStudyPlans();
+
+    for (const plan of plans || []) {
+        const progress = await getStudyPlanProgress(plan.id).catch(() => null);
+        const chapters = [...(plan.plan_data?.chapters || [])]
+            .sort((a, b) => a.chapter_number - b.chapter_number);
+
+        for (const chapter of chapters) {
+            const chapterProgress = progress?.chapters?.find(c => c.chapter_index === chapter.chapter_number);
+            if (!chapterProgress?.is_completed) {
+                return { plan, chapter, chapterProgress };
+            }
+        }
+    }
+    return null;
+}
+
+async function renderNextChapter() {
+    if (!(await isAuthenticated())) return;
+    const dashboardUrl = await getDashboardUrl();
+    const dashboardLearningUrl = dashboardUrl ? `${dashboardUrl}/learning` : null;
+
+    let next;
+    try {
+        next = await findNextChapter();
+    } catch (e) {
+        console.log('[Blocked] Study plans unavailable:', e.message);
+        return;
+    }
+
+    if (!next) {
+        document.getElementById('noChapter').style.display = 'block';
+        return;
+    }
+
+    const { plan, chapter, chapterProgress } = next;
+    document.getElementById('chapterTitle').textContent = chapter.title;
+    document.getElementById('planTitle').textContent = `${plan.title || plan.goal} · Chapter ${chapter.chapter_number}`;
+    document.getElementById('chapterProgress').style.width = `${Math.round(chapterProgress?.progress_percentage || 0)}%`;
+    document.getElementById('nextChapter').style.display = 'block';
+
+    // Chapters with a matched video resume there; the rest open in the dashboard
+    const resumeUrl = safeVideoUrl(chapterProgress?.video_url) || dashboardLearningUrl;
+    const resumeBtn = document.getElementById('resumeBtn');
+    if (!resumeUrl) {
+        resumeBtn.style.display = 'none';
+        return;
+    }
+    resumeBtn.onclick = () => {
+        window.location.href = resumeUrl;
+    };
+}
+
+async function init() {
+    // No dashboard URL until one is set in Settings (see utils/config.js)
+    const dashboardUrl = await getDashboardUrl();
+    const dashboardLink = document.getElementById('dashboardLink');
+    if (dashboardUrl) {
+        dashboardLink.href = `${dashboardUrl}/learning`;
+    } else {
+        dashboardLink.style.display = 'none';
+    }
+    document.getElementById('blockedTarget').textContent = ruleKey.startsWith('re:')
+        ? `Pattern: ${ruleKey.slice(3)}`
+        : ruleKey;
+
+    const reasons = await describeSources();
+    document.getElementById('blockedReasons').innerHTML = '';
+    for (const reason of reasons) {
+        const li = document.createElement('li');
+        li.textContent = reason;
+        document.getElementById('blockedReasons').appendChild(li);
+    }
+
+    await renderNextChapter();
+}
+
+init();
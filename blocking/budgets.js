@@ -0,0 +1,255 @@
+import { blockDomain, unblockDomain } from './dynamicRules.js';
+import { getSiteLists, matchesPattern, normalizePattern, SITE_CATEGORIES } from '../utils/siteLists.js';
+import { dayKey } from '../utils/history.js';
+import { getSetting } from '../utils/storage.js';
+
+/**
+ * Daily time budgets per site and per category.
+ *
+ * A budget: {
+ *   id, minutes,
+ *   target: { type: 'domain', domain } | { type: 'category', category }
+ * }
+ *
+ * Usage is accumulated from finalized tracking sessions (visible time only).
+ * Crossing a warn threshold shows a notification; spending the budget blocks
+ * its domains under the 'budget:<id>' source until local midnight, when the
+ * BUDGET_RESET_ALARM lifts the blocks and starts a new day.
+ */
+
+const BUDGETS_KEY = 'time_budgets';
+const USAGE_KEY = 'budget_usage';      // { day, seconds: { budgetId: n }, warned: { budgetId: [pct] } }
+const EXHAUSTED_KEY = 'budget_blocks'; // [{ id, label, domains, resets_at }] read by blockOverlay.js
+export const BUDGET_RESET_ALARM = 'budget_reset';
+
+const DEFAULT_WARN_THRESHOLDS = [0.5, 0.9];
+
+// Every flush records usage without waiting for the last one, so
+// budget_usage is read-modify-written one caller at a time
+let usageLock = Promise.resolve();
+
+function withUsageLock(fn) {
+    const run = usageLock.then(fn);
+    usageLock = run.catch(() => { });
+    return run;
+}
+
+function sourceFor(budgetId) {
+    return `budget:${budgetId}`;
+}
+
+function nextMidnight(now = Date.now()) {
+    const d = new Date(now);
+    d.setHours(24, 0, 0, 0);
+    return d.getTime();
+}
+
+/**
+ * Human label, e.g. "30 min of youtube.com".
+ */
+export function describeBudget(budget) {
+    const what = budget.target.type === 'domain' ? budget.target.domain : `${budget.target.category} sites`;
+    return `${budget.minutes} min of ${what}`;
+}
+
+function budgetApplies(budget, domain, category) {
+    if (budget.target.type === 'domain') {
+        return matchesPattern(domain, budget.target.domain);
+    }
+    return budget.target.category === category;
+}
+
+async function resolveDomains(budget) {
+    if (budget.target.type === 'domain') {
+        return [budget.target.domain];
+    }
+    const lists = await getSiteLists();
+    return (lists[budget.target.category] || []).filter(p => !p.includes('*'));
+}
+
+export async function getBudgets() {
+    const result = await chrome.storage.local.get(BUDGETS_KEY);
+    return result[BUDGETS_KEY] || [];
+}
+
+/**
+ * Add a budget.
+ * @param {{target: Object, minutes: number}} budget
+ */
+export async function addBudget(budget) {
+    const minutes = Math.floor(Number(budget.minutes));
+    if (!minutes || minutes < 1) {
+        throw new Error('Budget must be at least 1 minute');
+    }
+
+    let target = budget.target;
+    if (target?.type === 'domain') {
+        const domain = normalizePattern(target.domain);
+        if (!domain || domain.includes('*')) {
+            throw new Error('Budget needs a plain domain, e.g. youtube.com');
+        }
+        target = { type: 'domain', domain };
+    } else if (target?.type !== 'category' || !SITE_CATEGORIES.includes(target.category)) {
+        throw new Error('Unknown budget target');
+    }
+
+    const budgets = await getBudgets();
+    budgets.push({ id: Date.now().toString(36), target, minutes });
+    await chrome.storage.local.set({ [BUDGETS_KEY]: budgets });
+    return budgets;
+}
+
+/**
+ * Remove a budget and lift its block if it was exhausted.
+ */
+export async function removeBudget(id) {
+    const budgets = (await getBudgets()).filter(b => b.id !== id);
+    await chrome.storage.local.set({ [BUDGETS_KEY]: budgets });
+    await liftBudgetBlocks(id);
+    return budgets;
+}
+
+async function liftBudgetBlocks(onlyId = null) {
+    const result = await chrome.storage.local.get(EXHAUSTED_KEY);
+    const exhausted = result[EXHAUSTED_KEY] || [];
+    const remaining = [];
+
+    for (const entry of exhausted) {
+        if (onlyId && entry.id !== onlyId) {
+            remaining.push(entry);
+            continue;
+        }
+        for (const domain of entry.domains) {
+            await unblockDomain(domain, sourceFor(entry.id));
+        }
+        console.log(`[Budget] Lifted block: ${entry.label}`);
+    }
+
+    await chrome.storage.local.set({ [EXHAUSTED_KEY]: remaining });
+}
+
+/**
+ * Today's usage record, starting a new day (and lifting yesterday's
+ * budget blocks) if midnight passed while the worker was asleep.
+ */
+async function getUsage() {
+    const result = await chrome.storage.local.get(USAGE_KEY);
+    const usage = result[USAGE_KEY];
+    const today = dayKey();
+
+    if (!usage || usage.day !== today) {
+        await liftBudgetBlocks();
+        const fresh = { day: today, seconds: {}, warned: {} };
+        await chrome.storage.local.set({ [USAGE_KEY]: fresh });
+        return fresh;
+    }
+    return usage;
+}
+
+/**
+ * Start a new budget day if needed and arm the midnight reset alarm.
+ */
+export async function resetBudgetsIfNewDay() {
+    await withUsageLock(getUsage);
+    chrome.alarms.create(BUDGET_RESET_ALARM, { when: nextMidnight() });
+}
+
+function notify(id, message) {
+    try {
+        chrome.notifications.create(id, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: 'Polaris',
+            message,
+        });
+    } catch (e) {
+        console.log('[Budget] Notification failed:', e.message);
+    }
+}
+
+/**
+ * Count finalized time against every matching budget.
+ * @param {string} domain
+ * @param {string} category productive | distracting | neutral
+ * @param {number} seconds Visible time in the flush window
+ * @returns {Promise<Object[]>} Budgets that became exhausted by this call
+ */
+export function recordBudgetUsage(domain, category, seconds) {
+    return withUsageLock(() => applyUsage(domain, category, seconds));
+}
+
+async function applyUsage(domain, category, seconds) {
+    if (!domain || !(seconds > 0)) return [];
+
+    const budgets = await getBudgets();
+    if (budgets.length === 0) return [];
+
+    const usage = await getUsage();
+    const thresholds = await getSetting('budget_warn_thresholds', DEFAULT_WARN_THRESHOLDS);
+    const newlyExhausted = [];
+
+    for (const budget of budgets) {
+        if (!budgetApplies(budget, domain, category)) continue;
+
+        const limit = budget.minutes * 60;
+        const before = usage.seconds[budget.id] || 0;
+        const after = before + seconds;
+        usage.seconds[budget.id] = after;
+
+        const warned = usage.warned[budget.id] || [];
+        for (const t of thresholds) {
+            if (after >= limit * t && before < limit * t && !warned.includes(t) && t < 1) {
+                warned.push(t);
+                notify(`budget-${budget.id}-${t}`,
+                    `${Math.round(t * 100)}% of your ${describeBudget(budget)} used today.`);
+            }
+        }
+        usage.warned[budget.id] = warned;
+
+        if (after >= limit && before < limit) {
+            newlyExhausted.push(budget);
+        }
+    }
+
+    await chrome.storage.local.set({ [USAGE_KEY]: usage });
+
+    for (const budget of newlyExhausted) {
+        await exhaustBudget(budget);
+    }
+    return newlyExhausted;
+}
+
+async function exhaustBudget(budget) {
+    const domains = await resolveDomains(budget);
+    for (const domain of domains) {
+        await blockDomain(domain, sourceFor(budget.id));
+    }
+
+    const result = await chrome.storage.local.get(EXHAUSTED_KEY);
+    const exhausted = (result[EXHAUSTED_KEY] || []).filter(e => e.id !== budget.id);
+    const resetsAt = nextMidnight();
+    exhausted.push({ id: budget.id, label: describeBudget(budget), domains, resets_at: resetsAt });
+    await chrome.storage.local.set({ [EXHAUSTED_KEY]: exhausted });
+
+    chrome.alarms.create(BUDGET_RESET_ALARM, { when: resetsAt });
+    notify(`budget-${budget.id}-spent`, `Daily budget spent: ${describeBudget(budget)}. Blocked until midnight.`);
+    console.log(`[Budget] Exhausted: ${describeBudget(budget)} → blocking ${domains.join(', ')}`);
+}
+
+/**
+ * Budgets with today's usage, for the side panel.
+ */
+export async function getBudgetStatus() {
+    const budgets = await getBudgets();
+    const usage = await withUsageLock(getUsage);
+    return budgets.map(budget => {
+        const used = usage.seconds[budget.id] || 0;
+        return {
+            ...budget,
+            label: describeBudget(budget),
+            used_seconds: used,
+            limit_seconds: budget.minutes * 60,
+            exhausted: used >= budget.minutes * 60,
+        };
+    });
+}
@@ -2,9 +2,95 @@ import { getSetting } from '../utils/storage.js';
 
 const RULE_ID_OFFSET = 1000; // Avoid conflicts with static rules
 const RULE_STORAGE_KEY = 'blocking_rules_map';
+const SOURCE_STORAGE_KEY = 'blocking_sources';
+const ALLOW_STORAGE_KEY = 'allow_rules_map';
+const RULE_ERROR_KEY = 'blocking_rule_error'; // last DNR failure, shown in the side panel
+
+const BLOCKED_PAGE = '/blocked/blocked.html'; // web_accessible, see manifest.json
+
+const BLOCK_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script',
+    'image', 'font', 'object', 'xmlhttprequest',
+    'ping', 'media', 'websocket', 'other'
+];
+
+// Rule changes run one at a time so two concurrent calls cannot read the
+// same maps and hand out the same rule ID.
+let ruleLock = Promise.resolve();
+
+function withRuleLock(fn) {
+    const run = ruleLock.then(fn, fn);
+    ruleLock = run.catch(() => { });
+    return run;
+}
+
+// Source used by the popup button and backend/parental WS events
+export const MANUAL_SOURCE = 'manual';
+
+/**
+ * Rule keys name what a rule blocks and key blocking_rules_map:
+ * - "reddit.com"        → the domain and its subdomains
+ * - "reddit.com/r/all"  → URLs on the domain whose path starts with /r/all
+ * - "re:<regex>"        → full URLs matching an RE2 regex
+ * content/blockOverlay.js mirrors matchesRuleKey() — keep them in sync.
+ */
+const REGEX_PREFIX = 're:';
+
+/**
+ * Build a rule key from a WS/UI payload.
+ * @param {{domain?: string, path?: string, regex?: string}} target
+ * @returns {string} Rule key, or '' if the target is empty
+ */
+export function ruleKey({ domain, path, regex } = {}) {
+    if (regex) return REGEX_PREFIX + regex;
+
+    const host = (domain || '').trim().toLowerCase().replace(/^www\./, '');
+    if (!host) return '';
+    if (!path || path === '/') return host;
+    return host + (path.startsWith('/') ? path : '/' + path);
+}
+
+/**
+ * Does a URL fall under a rule key? Matching is case-insensitive, like DNR.
+ * @param {string} key
+ * @param {string} url
+ */
+export function matchesRuleKey(key, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return false;
+    }
+
+    if (key.startsWith(REGEX_PREFIX)) {
+        try {
+            return new RegExp(key.slice(REGEX_PREFIX.length), 'i').test(parsed.href);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    const slash = key.indexOf('/');
+    const domain = slash === -1 ? key : key.slice(0, slash);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    if (host !== domain && !host.endsWith('.' + domain)) return false;
+    return slash === -1 || parsed.pathname.toLowerCase().startsWith(key.slice(slash).toLowerCase());
+}
+
+/**
+ * DNR condition for a rule key.
+ */
+function conditionFor(key) {
+    if (key.startsWith(REGEX_PREFIX)) {
+        return { regexFilter: key.slice(REGEX_PREFIX.length) };
+    }
+    // '||' anchors the domain (and subdomains); '^' ends a bare domain
+    return { urlFilter: key.includes('/') ? `||${key}` : `||${key}^` };
+}
 
 /**
- * Get the stored rule ID mapping: domain → ruleId
+ * Get the stored rule ID mapping: rule key → ruleId
  */
 async function getRuleMap() {
     const result = await chrome.storage.local.get(RULE_STORAGE_KEY);
@@ -19,65 +105,191 @@ async function saveRuleMap(map) {
 }
 
 /**
- * Generate a unique rule ID for a domain.
+ * Get who is blocking each domain: domain → [source, ...]
+ * Sources: 'manual' (popup / backend), 'schedule:<id>', ...
+ * A DNR rule exists while at least one source remains.
+ */
+async function getSourceMap() {
+    const result = await chrome.storage.local.get([SOURCE_STORAGE_KEY, RULE_STORAGE_KEY]);
+    const sourceMap = result[SOURCE_STORAGE_KEY] || {};
+
+    // Blocks created before sources existed were all manual
+    for (const domain of Object.keys(result[RULE_STORAGE_KEY] || {})) {
+        if (!sourceMap[domain] || sourceMap[domain].length === 0) {
+            sourceMap[domain] = [MANUAL_SOURCE];
+        }
+    }
+    return sourceMap;
+}
+
+async function saveSourceMap(map) {
+    await chrome.storage.local.set({ [SOURCE_STORAGE_KEY]: map });
+}
+
+/**
+ * Sources currently blocking a domain.
+ * @param {string} domain
+ * @returns {Promise<string[]>}
+ */
+export async function getBlockSources(domain) {
+    const sourceMap = await getSourceMap();
+    return sourceMap[domain] || [];
+}
+
+async function getAllowMap() {
+    const result = await chrome.storage.local.get(ALLOW_STORAGE_KEY);
+    return result[ALLOW_STORAGE_KEY] || {};
+}
+
+async function saveAllowMap(map) {
+    await chrome.storage.local.set({ [ALLOW_STORAGE_KEY]: map });
+}
+
+async function setRuleError(message) {
+    await chrome.storage.local.set({
+        [RULE_ERROR_KEY]: message ? { message, at: Date.now() } : null,
+    });
+}
+
+/**
+ * Chrome's dynamic rule limits (older versions only expose the combined one).
+ */
+function dnrLimits() {
+    const dnr = chrome.declarativeNetRequest;
+    return {
+        max: dnr.MAX_NUMBER_OF_DYNAMIC_RULES || dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000,
+        regexMax: dnr.MAX_NUMBER_OF_REGEX_RULES || 1000,
+    };
+}
+
+/**
+ * Lowest free rule ID. IDs held by either map or still installed in Chrome
+ * are taken, so IDs freed by unblocking are handed out again.
+ */
+async function allocateRuleId() {
+    const installed = await chrome.declarativeNetRequest.getDynamicRules();
+    const used = new Set([
+        ...Object.values(await getRuleMap()),
+        ...Object.values(await getAllowMap()),
+        ...installed.map(rule => rule.id),
+    ]);
+    let id = RULE_ID_OFFSET;
+    while (used.has(id)) id++;
+    return id;
+}
+
+/**
+ * DNR rule for a blocked key. 'redirect' mode sends top-level navigations
+ * to blocked/blocked.html (a nudge back to the study plan); 'hard' mode
+ * blocks every request.
+ */
+function blockRuleFor(id, key, mode) {
+    if (mode === 'redirect') {
+        return {
+            id,
+            priority: 1,
+            action: {
+                type: 'redirect',
+                redirect: { extensionPath: `${BLOCKED_PAGE}?rule=${encodeURIComponent(key)}` },
+            },
+            condition: { ...conditionFor(key), resourceTypes: ['main_frame'] },
+        };
+    }
+    return {
+        id,
+        priority: 1,
+        action: { type: 'block' },
+        condition: { ...conditionFor(key), resourceTypes: BLOCK_RESOURCE_TYPES },
+    };
+}
+
+function allowRuleFor(id, key) {
+    return {
+        id,
+        priority: 2,
+        action: { type: 'allow' },
+        condition: { ...conditionFor(key), resourceTypes: BLOCK_RESOURCE_TYPES },
+    };
+}
+
+/**
+ * Install one rule, checking Chrome's limits first so the user gets a
+ * clear reason instead of a silent DNR failure.
+ * @param {Object} [options]
+ * @param {boolean} [options.clearError=true] Clear the last failure on
+ *   success; reconcileRules() decides once its whole batch is in
+ * @returns {Promise<boolean>} Whether the rule is now installed
  */
-function generateRuleId(domain) {
-    let hash = 0;
-    for (let i = 0; i < domain.length; i++) {
-        const char = domain.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash |= 0; // Convert to 32bit integer
+async function installRule(rule, key, { clearError = true } = {}) {
+    try {
+        const installed = await chrome.declarativeNetRequest.getDynamicRules();
+        const { max, regexMax } = dnrLimits();
+        const others = installed.filter(r => r.id !== rule.id);
+
+        if (others.length >= max) {
+            throw new Error(`Chrome allows at most ${max} blocking rules`);
+        }
+        if (rule.condition.regexFilter) {
+            if (others.filter(r => r.condition.regexFilter).length >= regexMax) {
+                throw new Error(`Chrome allows at most ${regexMax} regex rules`);
+            }
+            const { isSupported, reason } = await chrome.declarativeNetRequest.isRegexSupported({
+                regex: rule.condition.regexFilter,
+            });
+            if (!isSupported) {
+                throw new Error(`Regex not supported by Chrome (${reason})`);
+            }
+        }
+
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            addRules: [rule],
+            removeRuleIds: [rule.id],
+        });
+        if (clearError) await setRuleError(null);
+        return true;
+    } catch (error) {
+        console.error(`[Block] DNR failed for ${key}:`, error);
+        await setRuleError(`${key}: ${error.message}`);
+        return false;
     }
-    return RULE_ID_OFFSET + Math.abs(hash) % 100000;
 }
 
 /**
- * Block a domain at the network layer.
- * @param {string} domain Domain to block (e.g., "youtube.com")
+ * Block a domain, path prefix or URL regex at the network layer.
+ * @param {string} domain Rule key to block (e.g., "youtube.com", "youtube.com/shorts", see ruleKey)
+ * @param {string} source Who wants the block (see getSourceMap)
  */
-export async function blockDomain(domain) {
+export function blockDomain(domain, source = MANUAL_SOURCE) {
+    return withRuleLock(() => applyBlock(domain, source));
+}
+
+async function applyBlock(domain, source) {
     const ruleMap = await getRuleMap();
+    const sourceMap = await getSourceMap();
+
+    const sources = sourceMap[domain] || [];
+    if (!sources.includes(source)) {
+        sourceMap[domain] = [...sources, source];
+        await saveSourceMap(sourceMap);
+    }
 
     // Check if already blocked
     if (ruleMap[domain]) {
-        console.log(`[Block] Already blocking: ${domain}`);
+        console.log(`[Block] Already blocking: ${domain} (sources: ${sourceMap[domain].join(', ')})`);
         return;
     }
 
-    const ruleId = generateRuleId(domain);
+    const ruleId = await allocateRuleId();
     const mode = await getSetting('blocking_mode', 'hard');
 
-    if (mode === 'hard') {
-        const rule = {
-            id: ruleId,
-            priority: 1,
-            action: { type: 'block' },
-            condition: {
-                urlFilter: `||${domain}^`,
-                resourceTypes: [
-                    'main_frame', 'sub_frame', 'stylesheet', 'script',
-                    'image', 'font', 'object', 'xmlhttprequest',
-                    'ping', 'media', 'websocket', 'other'
-                ],
-            },
-        };
-
-        try {
-            console.log(`[Block] Attempting DNR hard-block for: ${domain} (ID: ${ruleId})`);
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                addRules: [rule],
-                removeRuleIds: [ruleId],
-            });
+    if (mode !== 'soft') {
+        console.log(`[Block] Attempting DNR ${mode}-block for: ${domain} (ID: ${ruleId})`);
+        if (await installRule(blockRuleFor(ruleId, domain, mode), domain)) {
             console.log(`[Block] DNR success: ${domain}`);
-        } catch (error) {
-            console.error(`[Block] DNR failed for ${domain}:`, error);
-            // Fallthrough to ruleMap update so overlay still works
         }
+        // On failure fall through to the ruleMap update so the overlay still works
     } else {
         console.log(`[Block] Soft-mode: keeping DNR clear for ${domain}`);
-        await chrome.declarativeNetRequest.updateDynamicRules({
-            removeRuleIds: [ruleId],
-        });
     }
 
     ruleMap[domain] = ruleId;
@@ -86,14 +298,31 @@ export async function blockDomain(domain) {
 }
 
 /**
- * Unblock a domain.
+ * Unblock a domain for one source. The rule is only removed once no
+ * other source still wants the domain blocked.
  * @param {string} domain Domain to unblock
+ * @param {string} source Which block to lift (see getSourceMap)
  */
-export async function unblockDomain(domain) {
+export function unblockDomain(domain, source = MANUAL_SOURCE) {
+    return withRuleLock(() => applyUnblock(domain, source));
+}
+
+async function applyUnblock(domain, source) {
     const ruleMap = await getRuleMap();
     const ruleId = ruleMap[domain];
 
+    const sourceMap = await getSourceMap();
+    const remaining = (sourceMap[domain] || []).filter(s => s !== source);
+    if (remaining.length > 0) {
+        sourceMap[domain] = remaining;
+        await saveSourceMap(sourceMap);
+        console.log(`[Block] ${domain} released by ${source}, still blocked by: ${remaining.join(', ')}`);
+        return;
+    }
+
     if (!ruleId) {
+        delete sourceMap[domain];
+        await saveSourceMap(sourceMap);
         console.log(`[Block] Not blocking: ${domain}`);
         return;
     }
@@ -103,8 +332,12 @@ export async function unblockDomain(domain) {
             removeRuleIds: [ruleId],
         });
 
+        // Only forget the block once Chrome has dropped the rule, so a
+        // failed removal leaves a consistent, retryable block behind
         delete ruleMap[domain];
         await saveRuleMap(ruleMap);
+        delete sourceMap[domain];
+        await saveSourceMap(sourceMap);
 
         console.log(`[Block] Unblocked: ${domain}`);
     } catch (error) {
@@ -112,16 +345,151 @@ export async function unblockDomain(domain) {
     }
 }
 
+/**
+ * Temporarily let a blocked rule key through. A priority-2 allow rule wins
+ * over the block rule without touching its sources, so the block resumes
+ * as soon as the allow rule is removed.
+ * @param {string} domain Rule key (see ruleKey)
+ */
+export function allowDomain(domain) {
+    return withRuleLock(async () => {
+        const allowMap = await getAllowMap();
+        const ruleId = allowMap[domain] || await allocateRuleId();
+
+        await installRule(allowRuleFor(ruleId, domain), domain);
+        allowMap[domain] = ruleId;
+        await saveAllowMap(allowMap);
+        console.log(`[Block] Temporarily allowing: ${domain}`);
+    });
+}
+
+/**
+ * Remove a temporary allow rule.
+ * @param {string} domain Rule key
+ */
+export function disallowDomain(domain) {
+    return withRuleLock(async () => {
+        const allowMap = await getAllowMap();
+        const ruleId = allowMap[domain];
+        if (!ruleId) return;
+
+        try {
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: [ruleId],
+            });
+        } catch (error) {
+            console.error(`[Block] Failed to remove allow rule for ${domain}:`, error);
+        }
+
+        delete allowMap[domain];
+        await saveAllowMap(allowMap);
+        console.log(`[Block] Allow expired: ${domain}`);
+    });
+}
+
+/**
+ * Repair drift between storage and Chrome's installed rules: re-number
+ * IDs that collided under the old hash scheme, install missing rules,
+ * keep block rules out of DNR in soft mode and drop orphaned rules.
+ * Called on startup and when blocking_mode changes.
+ */
+export function reconcileRules() {
+    return withRuleLock(async () => {
+        const ruleMap = await getRuleMap();
+        const allowMap = await getAllowMap();
+        const mode = await getSetting('blocking_mode', 'hard');
+        const installed = await chrome.declarativeNetRequest.getDynamicRules();
+        const installedById = new Map(installed.map(rule => [rule.id, rule]));
+
+        // Give every key its own ID
+        const taken = new Set([...Object.values(ruleMap), ...Object.values(allowMap)]);
+        const seen = new Set();
+        let renumbered = 0;
+        let nextId = RULE_ID_OFFSET;
+        for (const map of [ruleMap, allowMap]) {
+            for (const [key, id] of Object.entries(map)) {
+                if (!seen.has(id)) {
+                    seen.add(id);
+                    continue;
+                }
+                while (taken.has(nextId)) nextId++;
+                map[key] = nextId;
+                taken.add(nextId);
+                seen.add(nextId);
+                renumbered++;
+            }
+        }
+
+        const desired = new Map();
+        if (mode !== 'soft') {
+            for (const [key, id] of Object.entries(ruleMap)) desired.set(id, { key, rule: blockRuleFor(id, key, mode) });
+        }
+        for (const [key, id] of Object.entries(allowMap)) desired.set(id, { key, rule: allowRuleFor(id, key) });
+
+        const sameRule = (a, b) => a && b &&
+            a.action.type === b.action.type &&
+            a.action.redirect?.extensionPath === b.action.redirect?.extensionPath &&
+            a.condition.urlFilter === b.condition.urlFilter &&
+            a.condition.regexFilter === b.condition.regexFilter;
+
+        const stale = installed
+            .filter(rule => !sameRule(rule, desired.get(rule.id)?.rule))
+            .map(rule => rule.id);
+        if (stale.length > 0) {
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: stale });
+        }
+
+        let failed = 0;
+        let added = 0;
+        for (const [id, { key, rule }] of desired) {
+            if (sameRule(installedById.get(id), rule)) continue;
+            if (await installRule(rule, key, { clearError: false })) {
+                added++;
+            } else {
+                failed++;
+            }
+        }
+
+        await saveRuleMap(ruleMap);
+        await saveAllowMap(allowMap);
+        if (failed === 0) {
+            await setRuleError(null);
+        }
+
+        console.log(`[Block] Reconciled: ${desired.size} rules (${added} added, ${stale.length} removed, ${renumbered} renumbered, ${failed} failed)`);
+    });
+}
+
+/**
+ * Installed rule counts against Chrome's limits, plus the last failure.
+ */
+export async function getRuleUsage() {
+    const installed = await chrome.declarativeNetRequest.getDynamicRules();
+    const { max, regexMax } = dnrLimits();
+    const result = await chrome.storage.local.get(RULE_ERROR_KEY);
+    return {
+        rules: installed.length,
+        max,
+        regex_rules: installed.filter(rule => rule.condition.regexFilter).length,
+        regex_max: regexMax,
+        error: result[RULE_ERROR_KEY] || null,
+    };
+}
+
 /**
  * Sync blocked domains list from backend.
  * Ensures extension rules match backend state.
  * Called on: connect, heartbeat, worker wake.
+ * Only manual blocks are reconciled — schedule and other local
+ * sources are left alone.
  * 
- * @param {string[]} domains List of domains that should be blocked
+ * @param {string[]} domains Rule keys that should be blocked (see ruleKey)
  */
 export async function syncBlockedDomains(domains) {
-    const ruleMap = await getRuleMap();
-    const currentlyBlocked = new Set(Object.keys(ruleMap));
+    const sourceMap = await getSourceMap();
+    const currentlyBlocked = new Set(
+        Object.keys(sourceMap).filter(domain => sourceMap[domain].includes(MANUAL_SOURCE))
+    );
     const shouldBlock = new Set(domains);
 
     // Add missing blocks
@@ -152,16 +520,19 @@ export async function getBlockedDomains() {
 /**
  * Clear all blocking rules (emergency reset).
  */
-export async function clearAllRules() {
-    const ruleMap = await getRuleMap();
-    const ruleIds = Object.values(ruleMap);
-
-    if (ruleIds.length > 0) {
-        await chrome.declarativeNetRequest.updateDynamicRules({
-            removeRuleIds: ruleIds,
-        });
-    }
+export function clearAllRules() {
+    return withRuleLock(async () => {
+        const installed = await chrome.declarativeNetRequest.getDynamicRules();
+        if (installed.length > 0) {
+            await chrome.declarativeNetRequest.updateDynamicRules({
+                removeRuleIds: installed.map(rule => rule.id),
+            });
+        }
 
-    await saveRuleMap({});
-    console.log('[Block] All rules cleared');
+        await saveRuleMap({});
+        await saveSourceMap({});
+        await saveAllowMap({});
+        await setRuleError(null);
+        console.log('[Block] All rules cleared');
+    });
 }
@@ -0,0 +1,321 @@
+import { blockDomain, unblockDomain } from './dynamicRules.js';
+import { getSiteLists } from '../utils/siteLists.js';
+import { sendMessage } from '../utils/websocket.js';
+
+/**
+ * Pomodoro-style focus sessions.
+ *
+ * Work intervals block every distracting domain under the 'focus' source;
+ * breaks lift it. Phase changes are driven by a one-shot chrome.alarms
+ * alarm and the session lives in storage, so it survives worker sleep.
+ * Every transition is relayed over the WebSocket as 'focus_session'
+ * for the dashboard, and finished sessions are kept in focus_history.
+ */
+
+const SESSION_KEY = 'focus_session';
+const HISTORY_KEY = 'focus_history';
+const MAX_HISTORY = 50;
+const LIVENESS_KEY = 'focus_liveness'; // { seen_at, away_ms } for the current phase
+const FOCUS_SOURCE = 'focus';
+export const FOCUS_ALARM = 'focus_phase';
+
+// Flushes run every 30s while the browser is awake; a longer silence
+// than this means the device slept and the phase wasn't really running
+const MAX_GAP_MS = 2 * 60 * 1000;
+
+// The alarm, every flush and tab switches all update the session at once,
+// so its read-modify-writes go through one at a time
+let focusLock = Promise.resolve();
+
+function withFocusLock(fn) {
+    const run = focusLock.then(fn);
+    focusLock = run.catch(() => { });
+    return run;
+}
+
+export async function getFocusSession() {
+    const result = await chrome.storage.local.get(SESSION_KEY);
+    return result[SESSION_KEY] || null;
+}
+
+async function saveFocusSession(session) {
+    if (session) {
+        await chrome.storage.local.set({ [SESSION_KEY]: session });
+    } else {
+        await chrome.storage.local.remove(SESSION_KEY);
+    }
+}
+
+async function getLiveness(session) {
+    const result = await chrome.storage.local.get(LIVENESS_KEY);
+    return result[LIVENESS_KEY] || { seen_at: session.phase_started_at, away_ms: 0 };
+}
+
+async function saveLiveness(liveness) {
+    if (liveness) {
+        await chrome.storage.local.set({ [LIVENESS_KEY]: liveness });
+    } else {
+        await chrome.storage.local.remove(LIVENESS_KEY);
+    }
+}
+
+function markSeen(liveness, now) {
+    if (now - liveness.seen_at > MAX_GAP_MS) {
+        liveness.away_ms += now - liveness.seen_at;
+    }
+    liveness.seen_at = Math.max(liveness.seen_at, now);
+}
+
+/**
+ * Seconds of the current phase the device was awake for, up to `end`.
+ */
+function activeSeconds(session, liveness, end) {
+    return Math.max(0, Math.floor((end - session.phase_started_at - liveness.away_ms) / 1000));
+}
+
+export async function getFocusHistory() {
+    const result = await chrome.storage.local.get(HISTORY_KEY);
+    return result[HISTORY_KEY] || [];
+}
+
+async function distractingDomains() {
+    const lists = await getSiteLists();
+    return lists.distracting.filter(p => !p.includes('*'));
+}
+
+async function applyWorkBlocks(domains) {
+    for (const domain of domains) {
+        await blockDomain(domain, FOCUS_SOURCE);
+    }
+}
+
+async function liftWorkBlocks(domains) {
+    for (const domain of domains) {
+        await unblockDomain(domain, FOCUS_SOURCE);
+    }
+}
+
+function relay(session, status) {
+    const data = {
+        session_id: session.id,
+        status,
+        phase: session.phase,
+        cycle: session.cycle,
+        cycles: session.cycles,
+        work_minutes: session.work_minutes,
+        break_minutes: session.break_minutes,
+        planned_work_seconds: session.cycles * session.work_minutes * 60,
+        achieved_work_seconds: session.achieved_work_seconds,
+        interruptions: session.interruptions,
+        started_at: new Date(session.started_at).toISOString(),
+        phase_ends_at: new Date(session.phase_ends_at).toISOString(),
+        timestamp: new Date().toISOString(),
+    };
+
+    sendMessage({ type: 'focus_session', data })
+        .catch(e => console.log('[Focus] Relay failed:', e.message));
+}
+
+function notify(message) {
+    try {
+        chrome.notifications.create(`focus-${Date.now()}`, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: 'Polaris Focus',
+            message,
+        });
+    } catch (e) { }
+}
+
+/**
+ * Start a new focus session (replaces any running one).
+ * @param {{work_minutes?: number, break_minutes?: number, cycles?: number}} options
+ */
+export function startFocusSession(options = {}) {
+    return withFocusLock(() => beginSession(options));
+}
+
+async function beginSession(options) {
+    const existing = await getFocusSession();
+    if (existing) {
+        await endSession();
+    }
+
+    const workMinutes = Math.max(1, Math.floor(Number(options.work_minutes) || 25));
+    const breakMinutes = Math.max(1, Math.floor(Number(options.break_minutes) || 5));
+    const cycles = Math.max(1, Math.floor(Number(options.cycles) || 4));
+    const now = Date.now();
+
+    const session = {
+        id: now.toString(36),
+        phase: 'work',
+        cycle: 1,
+        cycles,
+        work_minutes: workMinutes,
+        break_minutes: breakMinutes,
+        started_at: now,
+        phase_started_at: now,
+        phase_ends_at: now + workMinutes * 60 * 1000,
+        achieved_work_seconds: 0,
+        interruptions: 0,
+        blocked_domains: await distractingDomains(),
+    };
+
+    await applyWorkBlocks(session.blocked_domains);
+    await saveFocusSession(session);
+    await saveLiveness({ seen_at: now, away_ms: 0 });
+    chrome.alarms.create(FOCUS_ALARM, { when: session.phase_ends_at });
+
+    console.log(`[Focus] Started: ${cycles} × ${workMinutes}/${breakMinutes} min`);
+    relay(session, 'started');
+    return session;
+}
+
+/**
+ * Move to the next phase. Called by FOCUS_ALARM and on worker wake. Phases
+ * that ended while the device slept are not replayed: the phase is credited
+ * up to when the worker was last seen and the next one starts now, so a
+ * wake sends one notification and one relay at most.
+ */
+export function advanceFocusPhase() {
+    return withFocusLock(advancePhase);
+}
+
+async function advancePhase() {
+    const session = await getFocusSession();
+    if (!session) return null;
+
+    const now = Date.now();
+    if (now < session.phase_ends_at) {
+        // Worker restarted mid-phase; its alarm may be gone
+        chrome.alarms.create(FOCUS_ALARM, { when: session.phase_ends_at });
+        return session;
+    }
+
+    const liveness = await getLiveness(session);
+    const slept = now - liveness.seen_at > MAX_GAP_MS;
+    const activeEnd = slept ? Math.min(liveness.seen_at, session.phase_ends_at) : session.phase_ends_at;
+    const nextStart = slept ? now : session.phase_ends_at;
+
+    if (session.phase === 'work') {
+        session.achieved_work_seconds += activeSeconds(session, liveness, activeEnd);
+
+        if (session.cycle >= session.cycles) {
+            await finishFocusSession(session, 'completed');
+            notify('Focus session complete. Nice work!');
+            return null;
+        }
+
+        await liftWorkBlocks(session.blocked_domains);
+        session.phase = 'break';
+        session.phase_started_at = nextStart;
+        session.phase_ends_at = nextStart + session.break_minutes * 60 * 1000;
+        notify(`Break time — ${session.break_minutes} minutes.`);
+    } else {
+        session.cycle++;
+        session.phase = 'work';
+        session.phase_started_at = nextStart;
+        session.phase_ends_at = nextStart + session.work_minutes * 60 * 1000;
+        session.blocked_domains = await distractingDomains();
+        await applyWorkBlocks(session.blocked_domains);
+        notify(`Back to work — interval ${session.cycle} of ${session.cycles}.`);
+    }
+
+    await saveFocusSession(session);
+    await saveLiveness({ seen_at: nextStart, away_ms: 0 });
+    chrome.alarms.create(FOCUS_ALARM, { when: session.phase_ends_at });
+    relay(session, session.phase);
+    return session;
+}
+
+/**
+ * Note that the browser is awake. Called on every tracking flush, so a
+ * gap between calls shows when the device was asleep mid-phase.
+ */
+export function touchFocusSession() {
+    return withFocusLock(touchSession);
+}
+
+async function touchSession() {
+    const session = await getFocusSession();
+    const now = Date.now();
+    // A phase that is over is settled by advanceFocusPhase()
+    if (!session || now >= session.phase_ends_at) return;
+
+    const liveness = await getLiveness(session);
+    markSeen(liveness, now);
+    await saveLiveness(liveness);
+}
+
+/**
+ * End the session early.
+ */
+export function stopFocusSession() {
+    return withFocusLock(endSession);
+}
+
+async function endSession() {
+    const session = await getFocusSession();
+    if (!session) return null;
+
+    if (session.phase === 'work') {
+        const liveness = await getLiveness(session);
+        const end = Math.min(Date.now(), session.phase_ends_at);
+        markSeen(liveness, end);
+        session.achieved_work_seconds += activeSeconds(session, liveness, end);
+    }
+    return finishFocusSession(session, 'stopped');
+}
+
+async function finishFocusSession(session, status) {
+    if (session.phase === 'work') {
+        await liftWorkBlocks(session.blocked_domains);
+    }
+    chrome.alarms.clear(FOCUS_ALARM);
+    await saveFocusSession(null);
+    await saveLiveness(null);
+
+    const record = {
+        id: session.id,
+        status,
+        started_at: session.started_at,
+        ended_at: Date.now(),
+        planned_work_seconds: session.cycles * session.work_minutes * 60,
+        achieved_work_seconds: session.achieved_work_seconds,
+        cycles_completed: status === 'completed' || session.phase === 'break' ? session.cycle : session.cycle - 1,
+        interruptions: session.interruptions,
+    };
+
+    const history = await getFocusHistory();
+    history.unshift(record);
+    await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, MAX_HISTORY) });
+
+    console.log(`[Focus] ${status}: ${record.achieved_work_seconds}/${record.planned_work_seconds}s, ${record.interruptions} interruptions`);
+    relay(session, status);
+    return record;
+}
+
+/**
+ * Running session plus the most recent finished ones, for the side panel.
+ */
+export async function getFocusStatus() {
+    return {
+        session: await getFocusSession(),
+        history: (await getFocusHistory()).slice(0, 5),
+        now: Date.now(),
+    };
+}
+
+/**
+ * Count a tab switch during a work interval as an interruption.
+ */
+export function recordFocusInterruption() {
+    return withFocusLock(countInterruption);
+}
+
+async function countInterruption() {
+    const session = await getFocusSession();
+    if (!session || session.phase !== 'work') return;
+    session.interruptions++;
+    await saveFocusSession(session);
+}
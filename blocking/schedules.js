@@ -0,0 +1,227 @@
+import { blockDomain, unblockDomain } from './dynamicRules.js';
+import { getSiteLists, normalizePattern, SITE_CATEGORIES } from '../utils/siteLists.js';
+
+/**
+ * Time-of-day / weekday blocking schedules.
+ *
+ * A schedule: {
+ *   id, target: { type: 'domain', domain } | { type: 'category', category: 'distracting' },
+ *   days: [0..6] (0 = Sunday, day the window STARTS on),
+ *   start: 'HH:MM', end: 'HH:MM'   // end <= start wraps past midnight
+ * }
+ *
+ * evaluateSchedules() applies the blocks that should be active now and
+ * arms a one-shot chrome.alarms alarm for the next boundary, so changes
+ * happen on time even if the service worker was asleep in between.
+ */
+
+const SCHEDULES_KEY = 'block_schedules';
+const APPLIED_KEY = 'schedule_applied'; // scheduleId → [domains] currently blocked
+export const SCHEDULE_ALARM = 'schedule_boundary';
+
+function sourceFor(schedule) {
+    return `schedule:${schedule.id}`;
+}
+
+function isValidTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+    return !!match && Number(match[1]) <= 23 && Number(match[2]) <= 59;
+}
+
+function parseTime(text) {
+    const [h, m] = (text || '0:0').split(':').map(n => parseInt(n, 10) || 0);
+    return h * 60 + m;
+}
+
+/**
+ * The same local time `offset` days away. Adding 24h instead lands an hour
+ * off on the day clocks change.
+ */
+function shiftDays(now, offset) {
+    const day = new Date(now);
+    day.setDate(day.getDate() + offset);
+    return day;
+}
+
+/**
+ * Absolute [start, end) of a schedule's window beginning on the given day.
+ * @param {Object} schedule
+ * @param {Date} day Any time on the starting day
+ */
+function windowOn(schedule, day) {
+    const base = new Date(day);
+    base.setHours(0, 0, 0, 0);
+    const startMin = parseTime(schedule.start);
+    let endMin = parseTime(schedule.end);
+    if (endMin <= startMin) endMin += 24 * 60; // overnight
+
+    const start = new Date(base);
+    start.setMinutes(startMin);
+    const end = new Date(base);
+    end.setMinutes(endMin);
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Is a schedule active at the given time?
+ */
+export function isScheduleActive(schedule, now = Date.now()) {
+    // Check the window starting today and the one starting yesterday (overnight)
+    for (const offset of [0, -1]) {
+        const day = shiftDays(now, offset);
+        if (!schedule.days.includes(day.getDay())) continue;
+        const { start, end } = windowOn(schedule, day);
+        if (now >= start && now < end) return true;
+    }
+    return false;
+}
+
+/**
+ * When the schedule's window containing `now` ends (or null).
+ */
+export function activeUntil(schedule, now = Date.now()) {
+    for (const offset of [0, -1]) {
+        const day = shiftDays(now, offset);
+        if (!schedule.days.includes(day.getDay())) continue;
+        const { start, end } = windowOn(schedule, day);
+        if (now >= start && now < end) return end;
+    }
+    return null;
+}
+
+/**
+ * Earliest start/end boundary after `now` across all schedules.
+ */
+function nextBoundary(schedules, now = Date.now()) {
+    let next = null;
+    for (const schedule of schedules) {
+        for (let offset = -1; offset <= 7; offset++) {
+            const day = shiftDays(now, offset);
+            if (!schedule.days.includes(day.getDay())) continue;
+            const { start, end } = windowOn(schedule, day);
+            for (const t of [start, end]) {
+                if (t > now && (next === null || t < next)) next = t;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * Domains a schedule blocks. Category targets are resolved against the
+ * current site lists; wildcard patterns cannot become ||domain^ rules.
+ */
+async function resolveDomains(schedule) {
+    if (schedule.target.type === 'domain') {
+        return [schedule.target.domain];
+    }
+    const lists = await getSiteLists();
+    return (lists[schedule.target.category] || []).filter(p => !p.includes('*'));
+}
+
+export async function getSchedules() {
+    const result = await chrome.storage.local.get(SCHEDULES_KEY);
+    return result[SCHEDULES_KEY] || [];
+}
+
+/**
+ * Add a schedule and apply it immediately.
+ * @param {Object} schedule Without id
+ */
+export async function addSchedule(schedule) {
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0) {
+        throw new Error('Schedule needs at least one day');
+    }
+    if (!schedule.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        throw new Error('Schedule days must be 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!isValidTime(schedule.start) || !isValidTime(schedule.end)) {
+        throw new Error('Schedule times must be HH:MM between 00:00 and 23:59');
+    }
+    let target = schedule.target;
+    if (target?.type === 'domain') {
+        const domain = normalizePattern(target.domain);
+        if (!domain || domain.includes('*')) {
+            throw new Error('Schedule needs a plain domain, e.g. reddit.com');
+        }
+        target = { type: 'domain', domain };
+    } else if (target?.type !== 'category' || !SITE_CATEGORIES.includes(target.category)) {
+        throw new Error('Unknown schedule target');
+    }
+
+    const schedules = await getSchedules();
+    schedules.push({ ...schedule, target, id: Date.now().toString(36) });
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+    await evaluateSchedules();
+    return schedules;
+}
+
+/**
+ * Remove a schedule and lift its blocks.
+ */
+export async function removeSchedule(id) {
+    const schedules = (await getSchedules()).filter(s => s.id !== id);
+    await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+    await evaluateSchedules();
+    return schedules;
+}
+
+/**
+ * Bring blocks in line with the schedules active right now and arm the
+ * alarm for the next boundary. Safe to call at any time.
+ * @returns {Promise<Object[]>} Active schedules, each with `until` (ms)
+ */
+export async function evaluateSchedules() {
+    const now = Date.now();
+    const schedules = await getSchedules();
+    const result = await chrome.storage.local.get(APPLIED_KEY);
+    const applied = result[APPLIED_KEY] || {};
+    const nextApplied = {};
+    const active = [];
+
+    for (const schedule of schedules) {
+        if (!isScheduleActive(schedule, now)) continue;
+
+        const domains = await resolveDomains(schedule);
+        for (const domain of domains) {
+            await blockDomain(domain, sourceFor(schedule));
+        }
+        nextApplied[schedule.id] = domains;
+        active.push({ ...schedule, until: activeUntil(schedule, now) });
+    }
+
+    // Lift blocks of schedules that ended, were removed, or lost domains
+    for (const [id, domains] of Object.entries(applied)) {
+        const still = new Set(nextApplied[id] || []);
+        for (const domain of domains) {
+            if (!still.has(domain)) {
+                await unblockDomain(domain, `schedule:${id}`);
+            }
+        }
+    }
+
+    await chrome.storage.local.set({ [APPLIED_KEY]: nextApplied });
+
+    const next = nextBoundary(schedules, now);
+    if (next) {
+        // +1s so the boundary itself evaluates on the new side
+        chrome.alarms.create(SCHEDULE_ALARM, { when: next + 1000 });
+    } else {
+        chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+
+    if (active.length > 0) {
+        console.log(`[Schedule] Active: ${active.map(s => s.id).join(', ')}`);
+    }
+    return active;
+}
+
+/**
+ * Currently active schedules without touching any rules.
+ */
+export async function getActiveSchedules() {
+    const now = Date.now();
+    return (await getSchedules())
+        .filter(s => isScheduleActive(s, now))
+        .map(s => ({ ...s, until: activeUntil(s, now) }));
+}
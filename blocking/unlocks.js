@@ -0,0 +1,244 @@
+import { allowDomain, disallowDomain, getBlockedDomains } from './dynamicRules.js';
+import { dayKey } from '../utils/history.js';
+import { getSetting } from '../utils/storage.js';
+import { classifyDomain } from '../utils/siteLists.js';
+import { sendMessage, isConnected } from '../utils/websocket.js';
+
+/**
+ * Temporary unlocks ("I need this for 5 minutes") from the block overlay.
+ *
+ * Friction: the overlay first calls beginUnlock(), then must wait out the
+ * countdown and type a justification before confirmUnlock() succeeds — the
+ * delay is enforced here, not just in the page. An unlock adds a
+ * temp_unlocks entry (read by blockOverlay.js), plus a DNR allow rule when
+ * the block is a DNR rule; UNLOCK_ALARM re-blocks when it expires. Unlocks are rate-limited per day, kept in
+ * unlock_log and reported over the WebSocket as 'block_bypass'.
+ */
+
+const UNLOCKS_KEY = 'temp_unlocks';  // [{ id, domain, reason, granted_at, expires_at }]
+const PENDING_KEY = 'unlock_pending'; // domain → requested_at (ms)
+const LOG_KEY = 'unlock_log';         // [{ ...unlock, day, reported }]
+const MAX_LOG = 200;
+export const UNLOCK_ALARM = 'unlock_expire';
+
+const DEFAULT_DAILY_LIMIT = 3;
+const DEFAULT_UNLOCK_MINUTES = 5;
+const DEFAULT_DELAY_SECONDS = 30;
+const MIN_REASON_LENGTH = 15;
+// An unacked bypass report is sent again after this long
+const RESEND_MS = 2 * 60 * 1000;
+
+// unlock_log is written by unlocks, reports and acks arriving in between
+let logLock = Promise.resolve();
+
+function withLogLock(fn) {
+    const run = logLock.then(fn);
+    logLock = run.catch(() => { });
+    return run;
+}
+
+/**
+ * How the overlay is blocking an unlock target: 'rule' for a
+ * blocking_rules_map key, which also needs a DNR allow rule to get through,
+ * or 'classification' for a host blocked by the site lists or the current
+ * YouTube video (the overlay alone enforces those). Anything else isn't
+ * blocked and can't be unlocked.
+ * @param {string} domain Rule key or host (see blockOverlay.js unlockTarget)
+ * @returns {Promise<'rule'|'classification'>}
+ */
+async function blockKind(domain) {
+    if ((await getBlockedDomains()).includes(domain)) return 'rule';
+
+    if (domain.includes('youtube.com')) {
+        const { yt_current_classification } = await chrome.storage.local.get('yt_current_classification');
+        if (yt_current_classification === 'distracting') return 'classification';
+    } else if (await classifyDomain(domain) === 'distracting') {
+        return 'classification';
+    }
+    throw new Error(`${domain} is not blocked`);
+}
+
+async function getActiveUnlocks() {
+    const result = await chrome.storage.local.get(UNLOCKS_KEY);
+    return result[UNLOCKS_KEY] || [];
+}
+
+export async function getUnlockLog() {
+    const result = await chrome.storage.local.get(LOG_KEY);
+    return result[LOG_KEY] || [];
+}
+
+/**
+ * Limits and today's usage, for the overlay and the side panel.
+ */
+export async function getUnlockPolicy() {
+    const limit = await getSetting('unlock_daily_limit', DEFAULT_DAILY_LIMIT);
+    const today = dayKey();
+    const usedToday = (await getUnlockLog()).filter(entry => entry.day === today).length;
+    return {
+        daily_limit: limit,
+        used_today: usedToday,
+        remaining_today: Math.max(0, limit - usedToday),
+        minutes: await getSetting('unlock_minutes', DEFAULT_UNLOCK_MINUTES),
+        delay_seconds: await getSetting('unlock_delay_seconds', DEFAULT_DELAY_SECONDS),
+        min_reason_length: MIN_REASON_LENGTH,
+    };
+}
+
+/**
+ * Start the countdown for an unlock request.
+ * @param {string} domain
+ */
+export async function beginUnlock(domain) {
+    await blockKind(domain);
+    const policy = await getUnlockPolicy();
+    if (policy.remaining_today === 0) {
+        throw new Error(`Daily unlock limit reached (${policy.daily_limit})`);
+    }
+
+    const result = await chrome.storage.local.get(PENDING_KEY);
+    const pending = result[PENDING_KEY] || {};
+    pending[domain] = Date.now();
+    await chrome.storage.local.set({ [PENDING_KEY]: pending });
+    return policy;
+}
+
+/**
+ * Grant a time-boxed unlock once the countdown has passed.
+ * @param {string} domain
+ * @param {string} reason Typed justification
+ */
+export async function confirmUnlock(domain, reason) {
+    const kind = await blockKind(domain);
+    const text = (reason || '').trim();
+    const policy = await getUnlockPolicy();
+
+    if (text.length < MIN_REASON_LENGTH) {
+        throw new Error(`Justification must be at least ${MIN_REASON_LENGTH} characters`);
+    }
+    if (policy.remaining_today === 0) {
+        throw new Error(`Daily unlock limit reached (${policy.daily_limit})`);
+    }
+
+    const result = await chrome.storage.local.get(PENDING_KEY);
+    const pending = result[PENDING_KEY] || {};
+    const requestedAt = pending[domain];
+    if (!requestedAt) {
+        throw new Error('No unlock request in progress');
+    }
+    if (Date.now() - requestedAt < policy.delay_seconds * 1000) {
+        throw new Error('Countdown has not finished');
+    }
+    delete pending[domain];
+    await chrome.storage.local.set({ [PENDING_KEY]: pending });
+
+    const now = Date.now();
+    const unlock = {
+        id: now.toString(36),
+        domain,
+        reason: text,
+        granted_at: now,
+        expires_at: now + policy.minutes * 60 * 1000,
+    };
+
+    // Classification blocks have no DNR rule; temp_unlocks is all the overlay needs
+    if (kind === 'rule') await allowDomain(domain);
+    const unlocks = (await getActiveUnlocks()).filter(u => u.domain !== domain);
+    unlocks.push(unlock);
+    await chrome.storage.local.set({ [UNLOCKS_KEY]: unlocks });
+
+    await withLogLock(async () => {
+        const log = await getUnlockLog();
+        log.unshift({ ...unlock, day: dayKey(now), reported: false });
+        await chrome.storage.local.set({ [LOG_KEY]: log.slice(0, MAX_LOG) });
+    });
+
+    armUnlockAlarm(unlocks);
+    console.log(`[Unlock] ${domain} for ${policy.minutes} min: "${text}"`);
+    // Offline, the ws_heartbeat alarm reports it once connected
+    reportUnlocks().catch(e => console.log('[Unlock] Report failed:', e.message));
+    return unlock;
+}
+
+function armUnlockAlarm(unlocks) {
+    if (unlocks.length === 0) {
+        chrome.alarms.clear(UNLOCK_ALARM);
+        return;
+    }
+    const next = Math.min(...unlocks.map(u => u.expires_at));
+    chrome.alarms.create(UNLOCK_ALARM, { when: next });
+}
+
+/**
+ * Re-block every unlock that has run out. Called by UNLOCK_ALARM and on
+ * worker wake.
+ * @returns {Promise<string[]>} Domains that were re-blocked
+ */
+export async function expireUnlocks() {
+    const now = Date.now();
+    const unlocks = await getActiveUnlocks();
+    const expired = unlocks.filter(u => u.expires_at <= now);
+    const remaining = unlocks.filter(u => u.expires_at > now);
+
+    for (const unlock of expired) {
+        await disallowDomain(unlock.domain);
+        console.log(`[Unlock] Re-blocked: ${unlock.domain}`);
+    }
+
+    await chrome.storage.local.set({ [UNLOCKS_KEY]: remaining });
+    armUnlockAlarm(remaining);
+    return expired.map(u => u.domain);
+}
+
+/**
+ * Send unreported unlocks to the backend for review. An entry stays
+ * unreported until the server acks its frame (acknowledgeUnlockReport);
+ * one that got no ack is sent again after RESEND_MS.
+ */
+export function reportUnlocks() {
+    return withLogLock(async () => {
+        if (!isConnected()) return;
+
+        const now = Date.now();
+        const log = await getUnlockLog();
+        const due = log.filter(entry => !entry.reported && now - (entry.sent_at || 0) >= RESEND_MS);
+        if (due.length === 0) return;
+
+        try {
+            for (const entry of due) {
+                const frameId = await sendMessage({
+                    type: 'block_bypass',
+                    data: {
+                        id: entry.id,
+                        domain: entry.domain,
+                        reason: entry.reason,
+                        granted_at: new Date(entry.granted_at).toISOString(),
+                        expires_at: new Date(entry.expires_at).toISOString(),
+                    },
+                });
+                if (!frameId) continue;
+                entry.frame_id = frameId;
+                entry.sent_at = now;
+            }
+        } finally {
+            // Keep the frame ids of whatever went out before a failure
+            await chrome.storage.local.set({ [LOG_KEY]: log });
+        }
+        console.log(`[Unlock] Sent ${due.length} bypass(es)`);
+    });
+}
+
+/**
+ * The server acked a frame; mark the bypass it carried as reported.
+ * @param {string} frameId
+ */
+export function acknowledgeUnlockReport(frameId) {
+    return withLogLock(async () => {
+        const log = await getUnlockLog();
+        const entry = log.find(e => e.frame_id === frameId);
+        if (!entry || entry.reported) return;
+        entry.reported = true;
+        await chrome.storage.local.set({ [LOG_KEY]: log });
+        console.log(`[Unlock] Bypass ${entry.id} reported`);
+    });
+}
@@ -3,10 +3,19 @@
  * Uses Shadow DOM + MutationObserver for maximum reliability.
  *
  * BLOCKING RULES:
- * - YouTube watch pages: Block ONLY if yt_current_classification === 'distracting'
+ * - YouTube watch, Shorts and live pages: Block ONLY if yt_current_classification === 'distracting'
  * - YouTube home/search: Never auto-block (unless manually/parentally blocked)
- * - Non-YouTube distracting sites: Block if site_auto_classification === 'distracting'
- * - Manually/parentally blocked sites: Always block (blocking_rules_map)
+ * - Non-YouTube distracting sites: Block if this host matches the user's
+ *   distracting list (site_lists) more specifically than any other list
+ * - Manually/parentally blocked sites: Always block (blocking_rules_map);
+ *   keys may be domains, path prefixes or regexes and are re-checked on
+ *   SPA route changes, which DNR never sees
+ * - Spent daily budgets: blocked via blocking_rules_map; budget_blocks
+ *   supplies the explanation (which budget, when it resets)
+ * - Focus session work intervals: blocked via blocking_rules_map;
+ *   focus_session supplies the explanation (when the break starts)
+ * - Temporary unlocks (temp_unlocks) lift any of the above until they
+ *   expire; the overlay's "I need this" flow requests them
  * - EVERYTHING ELSE: Allow
  */
 
@@ -17,6 +26,8 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
     let protectionObserver = null;
     let checkInterval = null;
     let lastBlockState = null; // Track state to reduce log noise
+    let unlockTarget = null; // Domain an unlock request would cover
+    let unlockTimer = null;
 
     console.log('[LifeOS] blockOverlay.js SETUP');
 
@@ -27,6 +38,62 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
         return (domain || '').toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
     }
 
+    /**
+     * Site-list pattern match. Mirrors matchesPattern() in utils/siteLists.js.
+     */
+    function matchesPattern(domain, pattern) {
+        if (!domain || !pattern) return false;
+        if (!pattern.includes('*')) {
+            return domain === pattern || domain.endsWith('.' + pattern);
+        }
+        const regex = new RegExp('^' + pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+            .join('.*') + '$');
+        return regex.test(domain);
+    }
+
+    /**
+     * Rule key match (domain, "domain/path" prefix or "re:<regex>").
+     * Mirrors matchesRuleKey() in blocking/dynamicRules.js.
+     */
+    function matchesRuleKey(key, url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return false;
+        }
+        if (key.startsWith('re:')) {
+            try {
+                return new RegExp(key.slice(3), 'i').test(parsed.href);
+            } catch (e) {
+                return false;
+            }
+        }
+        const slash = key.indexOf('/');
+        const domain = slash === -1 ? key : key.slice(0, slash);
+        const host = normalize(parsed.hostname);
+        if (host !== domain && !host.endsWith('.' + domain)) return false;
+        return slash === -1 || parsed.pathname.toLowerCase().startsWith(key.slice(slash).toLowerCase());
+    }
+
+    /**
+     * Most specific list wins. Mirrors classifyWithLists() in utils/siteLists.js.
+     */
+    function classifyHost(lists, host) {
+        const precedence = { productive: 3, neutral: 2, distracting: 1 };
+        let best = { category: 'neutral', score: -1 };
+        for (const category of ['distracting', 'productive', 'neutral']) {
+            for (const pattern of lists[category] || []) {
+                if (!matchesPattern(host, pattern)) continue;
+                const score = pattern.replace(/\*/g, '').length * 10 + precedence[category];
+                if (score > best.score) best = { category, score };
+            }
+        }
+        return best.category;
+    }
+
     /**
      * Safety check for extension context.
      */
@@ -65,25 +132,55 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
             const storage = await chrome.storage.local.get([
                 'blocking_rules_map',
                 'yt_current_classification',
-                'site_auto_classification'
+                'site_auto_classification',
+                'site_lists',
+                'budget_blocks',
+                'focus_session',
+                'temp_unlocks'
             ]);
             const ruleMap = storage.blocking_rules_map || {};
             const ytClass = storage.yt_current_classification || 'none';
-            const siteAutoClass = storage.site_auto_classification || 'none';
             const currentHost = normalize(window.location.hostname);
+            // Classify this tab's own host; the background's site_auto_classification
+            // only describes the active tab and is kept as a fallback before first run.
+            const siteAutoClass = storage.site_lists
+                ? classifyHost(storage.site_lists, currentHost)
+                : (storage.site_auto_classification || 'none');
             const currentPath = window.location.pathname;
 
             // 1. Check manual/parental blocks (blocking_rules_map)
-            const isBlockedManually = Object.keys(ruleMap).some(domain => {
+            const blockedKey = Object.keys(ruleMap).find(key => matchesRuleKey(key, window.location.href));
+            const isBlockedManually = !!blockedKey;
+            unlockTarget = blockedKey || currentHost;
+
+            const isUnlocked = (storage.temp_unlocks || []).some(unlock =>
+                unlock.expires_at > Date.now() && matchesRuleKey(unlock.domain, window.location.href)
+            );
+
+            let finalBlocked = isBlockedManually;
+
+            // Explain budget blocks instead of the generic "distracting" message
+            const budget = (storage.budget_blocks || []).find(entry =>
+                entry.domains.some(domain => {
+                    const normDomain = normalize(domain);
+                    return currentHost === normDomain || currentHost.endsWith('.' + normDomain);
+                })
+            );
+            const focus = storage.focus_session;
+            const inFocusWork = focus && focus.phase === 'work' && focus.blocked_domains.some(domain => {
                 const normDomain = normalize(domain);
                 return currentHost === normDomain || currentHost.endsWith('.' + normDomain);
             });
-
-            let finalBlocked = isBlockedManually;
+            const formatTime = ms => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const reason = budget
+                ? [`Daily budget spent: ${budget.label}.`, `Resets at ${formatTime(budget.resets_at)}.`]
+                : inFocusWork
+                    ? ['Focus session in progress.', `${focus.cycle < focus.cycles ? 'Break' : 'Session ends'} at ${formatTime(focus.phase_ends_at)}.`]
+                    : null;
 
             // 2. YouTube-specific logic
             if (currentHost.includes('youtube.com')) {
-                const isWatchPage = currentPath.startsWith('/watch') || window.location.search.includes('v=');
+                const isWatchPage = /^\/(?:watch|shorts\/|live\/)/.test(currentPath) || window.location.search.includes('v=');
                 const isSearchPage = currentPath.startsWith('/results') || currentPath.startsWith('/search');
 
                 if (isWatchPage && !isSearchPage) {
@@ -115,8 +212,14 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
                 }
             }
 
-            if (finalBlocked) {
-                injectOverlay();
+            if (finalBlocked && isUnlocked) {
+                if (lastBlockState !== 'unlocked') {
+                    console.log(`[LifeOS] Temporarily unlocked: ${currentHost}`);
+                    lastBlockState = 'unlocked';
+                }
+                removeOverlay();
+            } else if (finalBlocked) {
+                injectOverlay(reason);
             } else {
                 removeOverlay();
             }
@@ -129,15 +232,36 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
         }
     }
 
+    /**
+     * Show the reason as text, one line per entry. Budget labels are
+     * user-entered, so they never go through innerHTML.
+     */
+    function renderReason(el, lines) {
+        const text = lines.join('\n');
+        if (el.dataset.reason === text) return;
+        el.dataset.reason = text;
+        el.replaceChildren();
+        lines.forEach((line, i) => {
+            if (i > 0) el.appendChild(document.createElement('br'));
+            el.appendChild(document.createTextNode(line));
+        });
+    }
+
     /**
      * Inject the LifeOS themed overlay using Shadow DOM.
+     * @param {string[]|null} reason Specific explanation (lines of text), or null for the default
      */
-    function injectOverlay() {
+    function injectOverlay(reason = null) {
+        const isYT = window.location.hostname.includes('youtube.com');
+        const reasonLines = reason || [isYT ? 'This video is classified as distracting.' : 'This site is classified as distracting.'];
+
         if (shadowContainer) {
             if (!document.documentElement.contains(shadowContainer)) {
                 console.log('[LifeOS] Re-attaching overlay...');
                 document.documentElement.appendChild(shadowContainer);
             }
+            const reasonEl = shadowRoot && shadowRoot.getElementById('reasonText');
+            if (reasonEl) renderReason(reasonEl, reasonLines);
             return;
         }
 
@@ -178,8 +302,6 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
             text-align: center;
         `;
 
-        const isYT = window.location.hostname.includes('youtube.com');
-
         overlay.innerHTML = `
             <div style="background: rgba(255,255,255,0.05); padding: 60px; border-radius: 40px; border: 1px solid rgba(255, 255, 255, 0.1); backdrop-filter: blur(20px); box-shadow: 0 40px 100px rgba(0,0,0,0.8); max-width: 90%;">
                 <div style="margin-bottom: 30px; opacity: 0.9;">
@@ -189,28 +311,47 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
                 </div>
                 <h1 style="font-size: 32px; font-weight: 700; color: #fff; margin: 0 0 24px; letter-spacing: -0.02em;">Focus Mode Active</h1>
                 <p style="font-size: 18px; color: rgba(255,255,255,0.6); margin: 0 0 40px; line-height: 1.8;">
-                    ${isYT ? 'This video is classified as distracting.' : 'This site is classified as distracting.'} <br>
+                    <span id="reasonText"></span> <br>
                     Redirect your energy towards your goals.
                 </p>
                 <button id="backBtn" style="background: #fff; color: #000; border: none; padding: 20px 48px; border-radius: 30px; font-weight: 700; font-size: 16px; cursor: pointer; transition: all 0.3s; text-transform: uppercase; letter-spacing: 0.1em;">
                     ${isYT ? 'RETURN TO HOME' : 'GO BACK TO WORK'}
                 </button>
+                <div style="margin-top: 24px;">
+                    <button id="unlockLink" style="background: none; border: none; color: rgba(255,255,255,0.4); font-size: 13px; cursor: pointer; text-decoration: underline;">
+                        I need this for 5 minutes
+                    </button>
+                </div>
+                <div id="unlockPanel" style="display: none; margin-top: 24px; text-align: left;">
+                    <textarea id="unlockReason" rows="3" placeholder="Why do you need this site right now?" style="width: 100%; box-sizing: border-box; background: rgba(255,255,255,0.05); color: #fff; border: 1px solid rgba(255,255,255,0.2); border-radius: 16px; padding: 12px; font-size: 14px; font-family: inherit; resize: none;"></textarea>
+                    <button id="unlockConfirm" disabled style="margin-top: 12px; width: 100%; background: transparent; color: #fff; border: 1px solid rgba(255,255,255,0.3); padding: 14px; border-radius: 30px; font-weight: 700; font-size: 13px; cursor: pointer; letter-spacing: 0.1em;">
+                        WAIT…
+                    </button>
+                </div>
+                <p id="unlockError" style="margin: 12px 0 0; font-size: 13px; color: #ff6b6b;"></p>
             </div>
         `;
+        renderReason(overlay.querySelector('#reasonText'), reasonLines);
 
         shadowRoot.appendChild(overlay);
         document.documentElement.appendChild(shadowContainer);
 
-        shadowRoot.getElementById('backBtn').onclick = () => {
+        shadowRoot.getElementById('backBtn').onclick = async () => {
             if (isYT) {
                 window.location.href = 'https://www.youtube.com/';
             } else if (window.history.length > 1) {
                 window.history.back();
             } else {
-                window.location.href = 'http://127.0.0.1:5173/';
+                // Dashboard of the active environment (published by utils/config.js)
+                const { polaris_env_config } = await chrome.storage.local.get('polaris_env_config');
+                if (polaris_env_config?.dashboardUrl) {
+                    window.location.href = `${polaris_env_config.dashboardUrl}/`;
+                }
             }
         };
 
+        setupUnlockFlow();
+
         // 4. Video Pausing Loop
         const pauseInterval = setInterval(() => {
             if (!shadowContainer) {
@@ -242,10 +383,106 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
         if (document.body) document.body.style.overflow = 'hidden';
     }
 
+    /**
+     * Promise wrapper around chrome.runtime.sendMessage.
+     */
+    function askBackground(message) {
+        return new Promise((resolve) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    resolve({ ack: false, error: chrome.runtime.lastError.message });
+                } else {
+                    resolve(response || { ack: false, error: 'No response' });
+                }
+            });
+        });
+    }
+
+    /**
+     * "I need this for N minutes": justification + countdown, then the
+     * background grants a time-boxed unlock (it re-checks the delay and
+     * the daily limit itself).
+     */
+    async function setupUnlockFlow() {
+        const link = shadowRoot.getElementById('unlockLink');
+        const panel = shadowRoot.getElementById('unlockPanel');
+        const reasonInput = shadowRoot.getElementById('unlockReason');
+        const confirmBtn = shadowRoot.getElementById('unlockConfirm');
+        const errorEl = shadowRoot.getElementById('unlockError');
+
+        const policyResponse = await askBackground({ type: 'GET_UNLOCK_POLICY' });
+        if (!shadowRoot || !policyResponse.ack) return;
+        const policy = policyResponse.data;
+
+        if (policy.remaining_today === 0) {
+            link.disabled = true;
+            link.style.cursor = 'default';
+            link.textContent = `No unlocks left today (${policy.daily_limit}/day)`;
+            return;
+        }
+        link.textContent = `I need this for ${policy.minutes} minutes (${policy.remaining_today} left today)`;
+
+        let secondsLeft = policy.delay_seconds;
+        const updateConfirm = () => {
+            const reasonOk = reasonInput.value.trim().length >= policy.min_reason_length;
+            confirmBtn.disabled = secondsLeft > 0 || !reasonOk;
+            confirmBtn.style.opacity = confirmBtn.disabled ? '0.4' : '1';
+            confirmBtn.textContent = secondsLeft > 0
+                ? `WAIT ${secondsLeft}s`
+                : reasonOk ? `UNLOCK FOR ${policy.minutes} MIN` : `EXPLAIN WHY (${policy.min_reason_length}+ CHARACTERS)`;
+        };
+
+        link.onclick = async () => {
+            errorEl.textContent = '';
+            const response = await askBackground({ type: 'BEGIN_UNLOCK', data: { domain: unlockTarget } });
+            if (!response.ack) {
+                errorEl.textContent = response.error;
+                return;
+            }
+
+            link.style.display = 'none';
+            panel.style.display = 'block';
+            reasonInput.focus();
+            secondsLeft = response.data.delay_seconds;
+            updateConfirm();
+
+            if (unlockTimer) clearInterval(unlockTimer);
+            unlockTimer = setInterval(() => {
+                secondsLeft = Math.max(0, secondsLeft - 1);
+                updateConfirm();
+                if (secondsLeft === 0 || !shadowRoot) {
+                    clearInterval(unlockTimer);
+                    unlockTimer = null;
+                }
+            }, 1000);
+        };
+
+        reasonInput.oninput = updateConfirm;
+        // Keep keystrokes away from page shortcuts (YouTube's k/j/l, etc.)
+        reasonInput.onkeydown = (event) => event.stopPropagation();
+
+        confirmBtn.onclick = async () => {
+            confirmBtn.disabled = true;
+            const response = await askBackground({
+                type: 'CONFIRM_UNLOCK',
+                data: { domain: unlockTarget, reason: reasonInput.value },
+            });
+            if (!response.ack) {
+                errorEl.textContent = response.error;
+                updateConfirm();
+            }
+            // On success temp_unlocks changes and checkBlock() removes the overlay
+        };
+    }
+
     /**
      * Remove the overlay.
      */
     function removeOverlay() {
+        if (unlockTimer) {
+            clearInterval(unlockTimer);
+            unlockTimer = null;
+        }
         if (shadowContainer) {
             if (protectionObserver) {
                 protectionObserver.disconnect();
@@ -260,7 +497,7 @@ console.log('[LifeOS] blockOverlay.js ENTRY');
     }
 
     function onStorageChange(changes) {
-        if (changes.blocking_rules_map || changes.yt_current_classification || changes.site_auto_classification) {
+        if (changes.blocking_rules_map || changes.yt_current_classification || changes.site_auto_classification || changes.site_lists || changes.budget_blocks || changes.focus_session || changes.temp_unlocks) {
             checkBlock();
         }
     }
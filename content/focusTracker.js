@@ -1,14 +1,24 @@
 /**
  * LifeOS – Focus Tracker (Content Script)
  * Tracks focus session duration and tab engagement.
- * Reports visibility and focus changes to background.
+ * Reports visibility, focus and media playback changes to background.
  */
 
 (() => {
     let isFocused = document.hasFocus();
     let isVisible = !document.hidden;
+    let isMediaPlaying = checkMediaPlaying();
     let focusStartTime = isFocused ? Date.now() : null;
 
+    /**
+     * Any audible-or-visible media element currently playing.
+     */
+    function checkMediaPlaying() {
+        return Array.from(document.querySelectorAll('video, audio')).some(m =>
+            !m.paused && !m.ended && m.readyState > 2
+        );
+    }
+
     function reportFocusState() {
         const currentlyActive = isFocused && isVisible;
 
@@ -19,6 +29,7 @@
                     is_focused: isFocused,
                     is_visible: isVisible,
                     is_active: currentlyActive,
+                    is_media_playing: isMediaPlaying,
                     focus_duration_ms: focusStartTime
                         ? Date.now() - focusStartTime
                         : 0,
@@ -60,14 +71,28 @@
         reportFocusState();
     });
 
+    // Media events don't bubble — listen in the capture phase
+    function handleMediaChange() {
+        const playing = checkMediaPlaying();
+        if (playing !== isMediaPlaying) {
+            isMediaPlaying = playing;
+            reportFocusState();
+        }
+    }
+    ['playing', 'pause', 'ended', 'emptied'].forEach(evt => {
+        document.addEventListener(evt, handleMediaChange, true);
+    });
+
     // Periodic check (catches edge cases)
     setInterval(() => {
         const currentFocus = document.hasFocus();
         const currentVisible = !document.hidden;
+        const currentMedia = checkMediaPlaying();
 
-        if (currentFocus !== isFocused || currentVisible !== isVisible) {
+        if (currentFocus !== isFocused || currentVisible !== isVisible || currentMedia !== isMediaPlaying) {
             isFocused = currentFocus;
             isVisible = currentVisible;
+            isMediaPlaying = currentMedia;
             reportFocusState();
         }
     }, 3000); // Every 3 seconds
@@ -10,6 +10,20 @@
     let scrollVelocityAccum = 0;
     let scrollEventCount = 0;
     let reportInterval = null;
+    let trackedUrl = window.location.href;
+
+    /**
+     * SPA sites (YouTube, Reddit, X) change route without reloading,
+     * so start fresh metrics whenever the URL changes under us.
+     */
+    function resetOnNavigation() {
+        if (window.location.href === trackedUrl) return;
+        trackedUrl = window.location.href;
+        maxScrollDepth = 0;
+        lastScrollY = window.scrollY;
+        scrollVelocityAccum = 0;
+        scrollEventCount = 0;
+    }
 
     function calculateScrollDepth() {
         const docHeight = Math.max(
@@ -26,6 +40,7 @@
     }
 
     function handleScroll() {
+        resetOnNavigation();
         const currentDepth = calculateScrollDepth();
         maxScrollDepth = Math.max(maxScrollDepth, currentDepth);
 
@@ -38,6 +53,7 @@
     }
 
     function reportScrollData() {
+        resetOnNavigation();
         if (maxScrollDepth <= 0) return;
 
         const avgVelocity = scrollEventCount > 0
@@ -61,7 +77,8 @@
             // Extension context may be invalidated
         }
 
-        // Reset accumulators
+        // Reset accumulators — the background scores each flush window on its own
+        maxScrollDepth = 0;
         scrollVelocityAccum = 0;
         scrollEventCount = 0;
     }
@@ -0,0 +1,147 @@
+/**
+ * LifeOS – YouTube Page Data (Content Script, MAIN world)
+ * Runs ONLY on youtube.com pages, inside the page's own JS world.
+ *
+ * YouTube's structured metadata (the player response behind
+ * ytInitialPlayerResponse, and ytInitialData) lives in page globals that
+ * the isolated youtubeTracker.js cannot see. This script picks out the
+ * fields the tracker classifies with and posts them over window.postMessage
+ * after every navigation. No chrome.* APIs exist in this world.
+ *
+ * Message: { source: 'polaris-yt-page-data', metadata: {...} }
+ * The tracker can ask again with { source: 'polaris-yt-tracker', type: 'request' }.
+ */
+
+(() => {
+    const SOURCE = 'polaris-yt-page-data';
+    const TRACKER_SOURCE = 'polaris-yt-tracker';
+    const MAX_TAGS = 30;
+    const MAX_CHAPTERS = 100;
+    const MAX_PLAYLIST_TITLES = 200;
+
+    let pendingTimer = null;
+
+    // Same rules as getVideoId() in youtubeTracker.js: /watch?v=, /shorts/<id>, /live/<id>
+    function getUrlVideoId() {
+        const v = new URLSearchParams(window.location.search).get('v');
+        if (v) return v;
+        const match = window.location.pathname.match(/^\/(?:shorts|live)\/([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    function isVideoPage() {
+        return /^\/(?:watch|shorts\/|live\/)/.test(window.location.pathname);
+    }
+
+    /**
+     * The player's current response; ytInitialPlayerResponse is only right
+     * for the page YouTube first loaded, not after SPA navigation.
+     */
+    function getPlayerResponse() {
+        // Shorts play in their own player; the watch player may still hold the last video
+        for (const id of ['shorts-player', 'movie_player']) {
+            try {
+                const response = document.getElementById(id)?.getPlayerResponse?.();
+                if (response?.videoDetails) return response;
+            } catch (e) {
+                // Player not ready yet
+            }
+        }
+        return window.ytInitialPlayerResponse || null;
+    }
+
+    /**
+     * The watch page's data (ytInitialData after SPA navigation), if it is for videoId.
+     */
+    function getInitialData(videoId) {
+        const candidates = [document.querySelector('ytd-app')?.data?.response, window.ytInitialData];
+        return candidates.find(data => data?.currentVideoEndpoint?.watchEndpoint?.videoId === videoId) || null;
+    }
+
+    function getChapters(initialData) {
+        try {
+            const markersMap = initialData.playerOverlays.playerOverlayRenderer
+                .decoratedPlayerBarRenderer.decoratedPlayerBarRenderer
+                .playerBar.multiMarkersPlayerBarRenderer.markersMap || [];
+            const chapters = markersMap.find(marker => marker.value?.chapters)?.value.chapters || [];
+            return chapters.slice(0, MAX_CHAPTERS).map(({ chapterRenderer }) => ({
+                title: chapterRenderer.title?.simpleText || '',
+                start_seconds: Math.floor((chapterRenderer.timeRangeStartMillis || 0) / 1000),
+            }));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * The playlist being played, or null. Mixes (endless auto-generated
+     * "playlists") aren't a unit of anything and are left out.
+     */
+    function getPlaylist(initialData) {
+        const playlist = initialData?.contents?.twoColumnWatchNextResults?.playlist?.playlist;
+        if (!playlist?.playlistId || playlist.isInfinite) return null;
+
+        const titles = (playlist.contents || [])
+            .map(item => item.playlistPanelVideoRenderer?.title?.simpleText)
+            .filter(Boolean);
+        return {
+            id: playlist.playlistId,
+            title: playlist.title || '',
+            index: typeof playlist.currentIndex === 'number' ? playlist.currentIndex + 1 : null,
+            video_count: playlist.totalVideos || titles.length,
+            video_titles: titles.slice(0, MAX_PLAYLIST_TITLES),
+        };
+    }
+
+    /**
+     * Metadata for the video in the URL, or null while the player still
+     * holds the previous one.
+     */
+    function extractMetadata() {
+        const videoId = getUrlVideoId();
+        const response = getPlayerResponse();
+        const details = response?.videoDetails;
+        if (!videoId || !details || details.videoId !== videoId) return null;
+
+        const microformat = response.microformat?.playerMicroformatRenderer || {};
+        const initialData = getInitialData(videoId);
+
+        return {
+            video_id: videoId,
+            title: details.title || null,
+            category: microformat.category || null,
+            tags: (details.keywords || []).slice(0, MAX_TAGS),
+            chapters: initialData ? getChapters(initialData) : [],
+            is_live_content: !!details.isLiveContent,
+            is_live_now: !!microformat.liveBroadcastDetails?.isLiveNow,
+            channel_name: details.author || null,
+            length_seconds: parseInt(details.lengthSeconds, 10) || 0,
+            playlist: getPlaylist(initialData),
+            source: 'player_response',
+        };
+    }
+
+    /**
+     * Post once the player has caught up with the URL (up to ~10s).
+     */
+    function publish(attempt = 0) {
+        clearTimeout(pendingTimer);
+        if (!isVideoPage()) return;
+
+        const metadata = extractMetadata();
+        if (metadata) {
+            window.postMessage({ source: SOURCE, metadata }, window.location.origin);
+        } else if (attempt < 20) {
+            pendingTimer = setTimeout(() => publish(attempt + 1), 500);
+        }
+    }
+
+    window.addEventListener('yt-navigate-finish', () => publish());
+    window.addEventListener('yt-page-data-updated', () => publish());
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || event.data?.source !== TRACKER_SOURCE) return;
+        if (event.data.type === 'request') publish();
+    });
+
+    publish();
+})();
@@ -2,77 +2,128 @@
  * LifeOS – YouTube Video Tracker (Content Script)
  * Runs ONLY on youtube.com pages.
  * 
- * Extracts video title and classifies it as learning vs entertainment
- * using keyword matching. Sends classification to background script.
+ * Extracts video title, channel and description, plus YouTube's category
+ * and tags posted by youtubePageData.js, and scores them as learning vs
+ * entertainment with weighted keywords (see classifyVideo).
+ * Sends the classification and its reasons to the background script.
  * 
  * Handles YouTube's SPA navigation (no full page reloads).
  */
 
 (() => {
-    // ── Learning Keywords ────────────────────────────────────
-    const LEARNING_KEYWORDS = [
-        // General education
+    // ── Classification Signals ───────────────────────────────
+    // Matched on whole words (a trailing "s"/"es" is allowed), so "css" no
+    // longer fires on "access" nor "class" on "classic". Points per keyword:
+    // STRONG names the format, TOPIC a subject, WEAK a word that is only a
+    // hint on its own. NEGATIVE_KEYWORDS pull the other way.
+    const STRONG_LEARNING_KEYWORDS = [
         'tutorial', 'course', 'lecture', 'learn', 'learning', 'how to', 'explained',
-        'walkthrough', 'study', 'education', 'class', 'lesson', 'training',
-        'guide', 'documentation', 'workshop', 'bootcamp', 'masterclass',
-        'introduction', 'intro', 'beginner', 'basics', 'fundamentals', 'overview',
-        'crash course', 'complete guide', 'full course', 'for beginners', 'step by step',
-        'solve', 'solution', 'approach', 'optimal', 'brute force', 'time complexity',
-        'space complexity', 'big o', 'implementation', 'practice',
+        'walkthrough', 'study', 'education', 'lesson', 'training', 'documentation',
+        'workshop', 'bootcamp', 'masterclass', 'fundamentals', 'crash course',
+        'complete guide', 'full course', 'for beginners', 'step by step', 'interview prep',
+    ];
+
+    const TOPIC_KEYWORDS = [
         // Web fundamentals
-        'html', 'css', 'web design', 'web development', 'web dev', 'webpage',
-        'website', 'markup', 'styling', 'responsive', 'flexbox', 'grid layout',
-        'bootstrap', 'tailwind', 'sass', 'scss', 'dom', 'semantic',
-        'accessibility', 'forms', 'tables', 'tags', 'attributes', 'selectors',
-        'w3schools', 'mdn', 'web standards',
+        'html', 'css', 'web design', 'web development', 'web dev', 'flexbox', 'grid layout',
+        'bootstrap', 'tailwind', 'sass', 'scss', 'w3schools', 'mdn', 'web standards',
         // CS / Programming
-        'programming', 'coding', 'code', 'developer', 'software', 'web dev',
-        'javascript', 'python', 'java', 'react', 'node', 'sql', 'database',
-        'algorithm', 'data structure', 'dsa', 'leetcode', 'competitive',
+        'programming', 'coding', 'javascript', 'python', 'java', 'react', 'sql', 'database',
+        'algorithm', 'data structure', 'dsa', 'leetcode',
         'frontend', 'backend', 'fullstack', 'full stack', 'api', 'devops',
-        'git', 'linux', 'docker', 'kubernetes', 'cloud', 'aws', 'azure',
-        'typescript', 'c++', 'golang', 'rust', 'flutter', 'swift',
+        'git', 'linux', 'docker', 'kubernetes', 'aws', 'azure',
+        'typescript', 'c++', 'golang', 'flutter',
         'react native', 'angular', 'vue', 'django', 'flask', 'spring boot',
         'machine learning', 'deep learning', 'artificial intelligence',
         'neural network', 'nlp', 'computer vision', 'tensorflow', 'pytorch',
-        'hooks', 'context api', 'state management', 'lifecycle', 'props',
-        'component', 'express', 'mongodb', 'postgresql', 'redis', 'graphql',
-        'rest api', 'microservices', 'ci/cd', 'testing', 'debugging',
-        'object oriented', 'functional programming', 'async', 'promises',
+        'context api', 'state management', 'mongodb', 'postgresql', 'redis', 'graphql',
+        'rest api', 'microservices', 'ci/cd', 'object oriented', 'functional programming',
         'data science', 'pandas', 'numpy', 'matplotlib', 'jupyter',
-        'cybersecurity', 'networking', 'operating system', 'compiler',
+        'cybersecurity', 'operating system', 'compiler',
         // DSA / Algorithms / Competitive Programming
-        'dynamic programming', 'dp', 'greedy', 'backtracking', 'recursion',
+        'dynamic programming', 'greedy', 'backtracking', 'recursion',
         'binary search', 'two pointer', 'sliding window', 'divide and conquer',
-        'sorting', 'searching', 'hashing', 'hash map', 'hash table',
-        'tree', 'binary tree', 'bst', 'avl', 'heap', 'priority queue',
-        'graph', 'bfs', 'dfs', 'dijkstra', 'bellman', 'floyd', 'topological',
-        'linked list', 'stack', 'queue', 'deque', 'trie', 'segment tree',
-        'bit manipulation', 'union find', 'disjoint set',
-        'array', 'matrix', 'string', 'subsequence', 'subarray', 'subset',
-        'knapsack', 'fibonacci', 'memoization', 'tabulation',
-        'maximum sum', 'minimum sum', 'longest', 'shortest', 'path',
-        'adjacent', 'non-adjacent', 'elements', 'nodes', 'edges',
+        'hash map', 'hash table', 'binary tree', 'bst', 'avl', 'priority queue',
+        'bfs', 'dfs', 'dijkstra', 'bellman', 'floyd', 'topological',
+        'linked list', 'segment tree', 'bit manipulation', 'union find', 'disjoint set',
+        'subsequence', 'subarray', 'knapsack', 'fibonacci', 'memoization', 'tabulation',
+        'time complexity', 'space complexity', 'big o', 'brute force',
         'striver', 'neetcode', 'codeforces', 'hackerrank', 'codechef',
         'geeksforgeeks', 'gfg', 'interviewbit', 'coding ninja',
-        'take u forward', 'frog jump', 'house robber', 'coin change',
-        'climbing stairs', 'grid', 'palindrome', 'permutation', 'combination',
+        'take u forward', 'frog jump', 'house robber', 'coin change', 'climbing stairs',
         // Science & Math
-        'physics', 'chemistry', 'biology', 'math', 'calculus', 'algebra',
-        'statistics', 'probability', 'engineering', 'science',
+        'physics', 'chemistry', 'biology', 'math', 'maths', 'calculus', 'algebra',
+        'statistics', 'probability',
+    ];
+
+    const WEAK_LEARNING_KEYWORDS = [
+        'class', 'guide', 'introduction', 'intro', 'beginner', 'basics', 'overview',
+        'solve', 'solution', 'approach', 'optimal', 'implementation', 'practice',
+        'website', 'webpage', 'markup', 'styling', 'responsive', 'dom', 'semantic',
+        'accessibility', 'forms', 'tables', 'attributes', 'selectors',
+        'code', 'developer', 'software', 'competitive', 'node', 'cloud', 'rust', 'swift',
+        'hooks', 'lifecycle', 'props', 'component', 'express', 'testing', 'debugging',
+        'async', 'promises', 'networking',
+        'dp', 'sorting', 'searching', 'hashing', 'tree', 'heap', 'graph', 'stack',
+        'queue', 'deque', 'trie', 'array', 'matrix', 'string', 'subset',
+        'maximum sum', 'minimum sum', 'longest', 'shortest', 'path',
+        'adjacent', 'non-adjacent', 'elements', 'nodes', 'edges',
+        'grid', 'palindrome', 'permutation', 'combination',
+        'engineering', 'science',
         // Academic
         'exam', 'preparation', 'syllabus', 'gate', 'placement',
-        'interview prep', 'campus', 'semester', 'university', 'college',
+        'campus', 'semester', 'university', 'college',
         // Professional
         'portfolio', 'resume', 'career', 'freelance', 'project', 'showcase',
-        // Tech news
-        'mkbhd', 'technology', 'tech news', 'future of', 'review', 'hands-on',
-        'unboxing', 'comparison', 'specifications',
+        // Tech news (product reviews and unboxings are shopping, not learning)
+        'mkbhd', 'technology', 'tech news', 'future of', 'specifications',
+    ];
+
+    const NEGATIVE_KEYWORDS = [
+        ['prank', -3], ['reaction', -3], ['reacts', -3], ['reacting', -3],
+        ['meme', -3], ['gameplay', -3], ["let's play", -3], ['compilation', -3],
+        ['try not to laugh', -3], ['fails', -3], ['asmr', -3], ['mukbang', -3],
+        ['music video', -3], ['official video', -3], ['lyrics', -3], ['speedrun', -3],
+        ['funny', -2], ['gaming', -2], ['vlog', -2], ['challenge', -2],
+        ['highlights', -2], ['trailer', -2], ['minecraft', -2], ['fortnite', -2],
+        ['roblox', -2], ['gta', -2], ['tiktok', -2], ['unboxing', -2],
     ];
 
+    // YouTube's own category (see youtubePageData.js), scored once
+    const CATEGORY_POINTS = {
+        'Education': 4, 'Science & Technology': 3, 'Howto & Style': 1,
+        'Gaming': -3, 'Comedy': -3, 'Music': -3, 'Entertainment': -2,
+        'Film & Animation': -2, 'Sports': -2, 'People & Blogs': -1,
+        'Pets & Animals': -1, 'Travel & Events': -1,
+    };
+
+    // A keyword's points are scaled by where it was found: the title is
+    // written for this video, tags are often stuffed, the 300-char
+    // description is mostly links/boilerplate
+    const FIELD_WEIGHTS = { title: 1, channel: 0.75, tags: 0.5, description: 0.35 };
+    const PRODUCTIVE_THRESHOLD = 2;  // one STRONG or TOPIC title keyword
+    const CONFIDENCE_SPAN = 8;       // points from the threshold to full confidence
+    const MAX_REASONS = 8;
+
+    const SIGNALS = [
+        ...STRONG_LEARNING_KEYWORDS.map(k => [k, 3]),
+        ...TOPIC_KEYWORDS.map(k => [k, 2]),
+        ...WEAK_LEARNING_KEYWORDS.map(k => [k, 1]),
+        ...NEGATIVE_KEYWORDS,
+    ]
+        .map(([keyword, points]) => {
+            const phrase = normalizeText(keyword);
+            const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return { keyword, points, words: phrase.split(' ').length, pattern: new RegExp(`(^| )${escaped}(?:s|es)?(?= |$)`, 'g') };
+        })
+        // Longest phrases first: "binary search tree" consumes its words so
+        // "tree" doesn't score a second time
+        .sort((a, b) => b.words - a.words);
+
     let lastVideoId = null;
     let lastTitle = null;
     let lastChannelName = null; // Current video's channel - retried until found
+    let lastDescription = null; // Current video's description, read with the delayed report
     let trackingInterval = null;
     let titleObserver = null;
     let videoDuration = 0;
@@ -81,6 +132,13 @@
     let channelRetryInterval = null; // Retry until channel name is found
     let delayedReportVideoId = null; // Guard: only one 3s delayed block per video
     let matchRetryInterval = null;    // Periodic retry until chapter is matched
+    let channelLists = { allowed: [], blocked: [] }; // utils/channelLists.js, kept current from storage
+    let lastMetadata = null; // Latest structured metadata from youtubePageData.js
+    let shortsPolicy = 'distracting'; // shorts_policy setting: distracting | classify | redirect
+    let coverage = null;        // { videoId, intervals: [[start, end]], effectiveSeconds } — see Watched Coverage
+    let segment = null;         // Interval being watched right now: { start, end, rate }
+    let coverageVideo = null;   // <video> the coverage listeners are attached to
+    let coverageDirty = false;  // New coverage since the last save
 
     /**
      * Safety check for extension context.
@@ -107,6 +165,15 @@
      * Extract video title from the YouTube page.
      */
     function getVideoTitle() {
+        // Shorts: the hidden watch page keeps the last video's title in the
+        // selectors below, so only trust the player response or the tab title
+        if (isShortsPage()) {
+            const metadata = getVideoMetadata();
+            if (metadata?.title) return metadata.title;
+            const docTitle = document.title.replace(/\s*-\s*YouTube\s*$/, '').trim();
+            return docTitle && docTitle !== 'YouTube' ? docTitle : null;
+        }
+
         // Method 1: New UI (ytd-watch-metadata)
         const h1 = document.querySelector('h1.ytd-watch-metadata yt-formatted-string');
         if (h1 && h1.innerText) return h1.innerText.trim();
@@ -131,11 +198,38 @@
     }
 
     /**
-     * Extract video ID from URL.
+     * Extract video ID from URL: /watch?v=<id>, /shorts/<id> or /live/<id>.
      */
     function getVideoId() {
         const params = new URLSearchParams(window.location.search);
-        return params.get('v') || null;
+        if (params.get('v')) return params.get('v');
+        const match = window.location.pathname.match(/^\/(?:shorts|live)\/([\w-]+)/);
+        return match ? match[1] : null;
+    }
+
+    function isVideoPage() {
+        return /^\/(?:watch|shorts\/|live\/)/.test(window.location.pathname);
+    }
+
+    function isShortsPage() {
+        return window.location.pathname.startsWith('/shorts/');
+    }
+
+    /**
+     * Is the current video live right now? (A finished stream's replay is a
+     * normal video with a duration.)
+     */
+    function isLiveStream() {
+        if (getVideoMetadata()?.is_live_now) return true;
+        return !!document.querySelector('#movie_player.ytp-live');
+    }
+
+    /**
+     * 'short', 'live' or 'video' — sent as `kind` with YOUTUBE_VIDEO_INFO.
+     */
+    function getVideoKind() {
+        if (isShortsPage()) return 'short';
+        return isLiveStream() ? 'live' : 'video';
     }
 
     /**
@@ -163,6 +257,9 @@
             // CRITICAL: During ads, both video.duration and .ytp-time-duration show AD length
             if (isAdPlaying()) return 0;
 
+            // Shorts: .ytp-time-duration belongs to the hidden watch player
+            if (isShortsPage()) return getVideoMetadata()?.length_seconds || 0;
+
             // Method 1: Parse from duration text element (most reliable for main video)
             const durationElement = document.querySelector('.ytp-time-duration');
             if (durationElement && durationElement.textContent) {
@@ -259,6 +356,9 @@
      */
     function getChannelName() {
         try {
+            // Shorts: same stale-watch-page problem as getVideoTitle()
+            if (isShortsPage()) return getVideoMetadata()?.channel_name || null;
+
             // Method 1: New UI
             const channelLink = document.querySelector('ytd-channel-name a');
             if (channelLink) return channelLink.textContent.trim();
@@ -274,25 +374,413 @@
     }
 
     /**
-     * Classify video title as 'productive' or 'distracting'.
+     * Fallback when youtubePageData.js hasn't posted: the schema.org
+     * VideoObject YouTube embeds for crawlers. Only present on a full page
+     * load, so it's checked against the video id.
+     */
+    function getJsonLdMetadata(videoId) {
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+            try {
+                const data = JSON.parse(script.textContent);
+                const video = [].concat(data).find(item => item && item['@type'] === 'VideoObject');
+                if (!video || !`${video.url || ''}${video.embedUrl || ''}`.includes(videoId)) continue;
+
+                const keywords = Array.isArray(video.keywords)
+                    ? video.keywords
+                    : (video.keywords || '').split(',').map(k => k.trim()).filter(Boolean);
+                return {
+                    video_id: videoId,
+                    title: video.name || null,
+                    category: video.genre || null,
+                    tags: keywords.slice(0, 30),
+                    chapters: [],
+                    is_live_content: !!video.publication?.isLiveBroadcast,
+                    is_live_now: false,
+                    channel_name: video.author?.name || null,
+                    length_seconds: 0,
+                    playlist: null,
+                    source: 'json_ld',
+                };
+            } catch (e) {
+                // Malformed block — try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Structured metadata for the current video, or null if none is available (yet).
+     */
+    function getVideoMetadata() {
+        const videoId = getVideoId();
+        if (!videoId) return null;
+        if (lastMetadata && lastMetadata.video_id === videoId) return lastMetadata;
+        return getJsonLdMetadata(videoId);
+    }
+
+    /**
+     * Metadata fields sent with YOUTUBE_VIDEO_INFO (forwarded to /ai/match-video).
+     */
+    function metadataFields(metadata) {
+        const playlist = metadata?.playlist;
+        return {
+            kind: getVideoKind(),
+            category: metadata?.category || null,
+            tags: metadata?.tags || [],
+            chapters: metadata?.chapters || [],
+            is_live_content: !!metadata?.is_live_content,
+            playlist: playlist
+                ? { id: playlist.id, title: playlist.title, index: playlist.index, video_count: playlist.video_count }
+                : null,
+        };
+    }
+
+    /**
+     * Lowercase and reduce to space-separated word tokens (any script; "+"
+     * and "#" kept for c++ / c#).
+     */
+    function normalizeText(text) {
+        return text.toLowerCase().split(/[^\p{L}\p{N}+#]+/u).filter(Boolean).join(' ');
+    }
+
+    /**
+     * Mirrors normalizeChannel()/channelListFor() in utils/channelLists.js.
+     */
+    function channelListFor(lists, channelName) {
+        const name = (channelName || '').trim().replace(/^@/, '').replace(/\s+/g, ' ').toLowerCase();
+        if (!name) return null;
+        if ((lists.blocked || []).some(entry => entry.name === name)) return 'blocked';
+        if ((lists.allowed || []).some(entry => entry.name === name)) return 'allowed';
+        return null;
+    }
+
+    /**
+     * Score a video as 'productive' or 'distracting' from its title, channel,
+     * tags, description and YouTube category. Each keyword counts once per
+     * field. A channel on the allow/block list decides outright; otherwise a
+     * video in a learning playlist is productive with it (the playlist is
+     * scored as one unit from its title and video titles). The keyword score
+     * is still reported.
+     *
+     * @param {{title: ?string, channelName?: ?string, description?: ?string,
+     *          category?: ?string, tags?: string[], playlist?: ?Object}} video
+     * @returns {{classification: string, score: number, confidence: number, reasons: string[]}}
+     *          classification is 'pending' while there is no title to judge.
+     *          reasons are the contributing keywords, biggest first.
      */
-    function classifyVideo(title) {
-        if (!title) return 'distracting';
+    function classifyVideo({ title, channelName = null, description = null, category = null, tags = [], playlist = null }) {
+        if (!title) {
+            return { classification: 'pending', score: 0, confidence: 0, reasons: ['no title yet'] };
+        }
+
+        let score = 0;
+        const contributions = [];
+        const fields = { title, channel: channelName, tags: tags.length > 0 ? tags : null, description };
+
+        for (const [field, text] of Object.entries(fields)) {
+            if (!text) continue;
+            // Tags are separate phrases: '|' keeps a keyword from spanning two
+            let remaining = Array.isArray(text) ? text.map(normalizeText).join(' | ') : normalizeText(text);
+            for (const signal of SIGNALS) {
+                signal.pattern.lastIndex = 0;
+                if (!signal.pattern.test(remaining)) continue;
+                remaining = remaining.replace(signal.pattern, '$1|');
+
+                const points = Math.round(signal.points * FIELD_WEIGHTS[field] * 100) / 100;
+                score += points;
+                contributions.push({ field, keyword: signal.keyword, points });
+            }
+        }
+
+        if (category && CATEGORY_POINTS[category]) {
+            score += CATEGORY_POINTS[category];
+            contributions.push({ field: 'category', keyword: category, points: CATEGORY_POINTS[category] });
+        }
 
-        const lowerTitle = title.toLowerCase();
+        score = Math.round(score * 100) / 100;
+        const classification = score >= PRODUCTIVE_THRESHOLD ? 'productive' : 'distracting';
+        const confidence = Math.min(1, 0.5 + Math.abs(score - PRODUCTIVE_THRESHOLD) / CONFIDENCE_SPAN);
+
+        const reasons = contributions
+            .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+            .slice(0, MAX_REASONS)
+            .map(c => `${c.field} "${c.keyword}" ${c.points > 0 ? '+' : ''}${c.points}`);
+        if (contributions.length === 0) reasons.push('no learning keywords');
+
+        const listed = channelListFor(channelLists, channelName);
+        if (listed) {
+            return {
+                classification: listed === 'allowed' ? 'productive' : 'distracting',
+                score,
+                confidence: 1,
+                reasons: [`channel "${channelName}" is always ${listed === 'allowed' ? 'allowed' : 'blocked'}`, ...reasons],
+            };
+        }
 
-        for (const keyword of LEARNING_KEYWORDS) {
-            if (lowerTitle.includes(keyword)) {
-                return 'productive';
+        if (playlist && classification !== 'productive') {
+            const unit = classifyVideo({ title: playlist.title, tags: playlist.video_titles || [] });
+            if (unit.classification === 'productive') {
+                return {
+                    classification: 'productive',
+                    score,
+                    confidence: unit.confidence,
+                    reasons: [`playlist "${playlist.title}" is productive`, ...reasons],
+                };
             }
         }
 
-        return 'distracting';
+        return { classification, score, confidence: Math.round(confidence * 100) / 100, reasons };
+    }
+
+    /**
+     * Classify with whatever is known so far about the current video.
+     */
+    function classifyCurrentVideo(title) {
+        const metadata = getVideoMetadata();
+        const result = classifyVideo({
+            title,
+            channelName: lastChannelName || metadata?.channel_name,
+            description: lastDescription,
+            category: metadata?.category,
+            tags: metadata?.tags || [],
+            playlist: metadata?.playlist,
+        });
+
+        if (isShortsPage() && shortsPolicy !== 'classify' && title) {
+            return {
+                ...result,
+                classification: 'distracting',
+                confidence: 1,
+                reasons: ['Shorts are always distracting (Settings)', ...result.reasons],
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Re-score the video already reported once something it depends on
+     * changes (channel name resolved late, channel lists edited) and tell
+     * the overlay and background. Duration is left at 0 so the background
+     * doesn't run another chapter match.
+     */
+    function reclassifyCurrentVideo() {
+        if (!isContextValid()) return;
+        if (!lastVideoId || !lastTitle || getVideoId() !== lastVideoId) return;
+
+        const result = classifyCurrentVideo(lastTitle);
+        console.log(`[LifeOS YT] Re-classified "${lastTitle}" → ${describeClassification(result)}`);
+
+        try {
+            chrome.storage.local.set({ 'yt_current_classification': result.classification });
+            chrome.runtime.sendMessage({
+                type: 'YOUTUBE_VIDEO_INFO',
+                data: {
+                    title: lastTitle,
+                    videoId: lastVideoId,
+                    classification: result.classification,
+                    score: result.score,
+                    confidence: result.confidence,
+                    reasons: result.reasons,
+                    duration_seconds: 0,
+                    video_url: window.location.href,
+                    channel_name: lastChannelName || null,
+                    ...metadataFields(getVideoMetadata()),
+                },
+            }, () => {
+                if (chrome.runtime.lastError) {
+                    console.debug('[LifeOS YT] Re-classification message failed:', chrome.runtime.lastError.message);
+                }
+            });
+        } catch (e) {
+            console.debug('[LifeOS YT] Re-classification send failed:', e.message);
+        }
+
+        if (result.classification === 'productive' && !currentChapterMatch && delayedReportVideoId === lastVideoId) {
+            startMatchRetry();
+        }
+    }
+
+    /**
+     * Ask youtubePageData.js to post the current video's metadata.
+     */
+    function requestPageData() {
+        window.postMessage({ source: 'polaris-yt-tracker', type: 'request' }, window.location.origin);
+    }
+
+    function describeClassification(result) {
+        return `${result.classification} (score ${result.score}, ${Math.round(result.confidence * 100)}% confident: ${result.reasons.join(', ')})`;
+    }
+
+    // ── Watched Coverage ─────────────────────────────────────
+    // What was actually watched, as merged [start, end] media-time intervals
+    // per video, built from the player's timeupdate/seeking/ratechange
+    // events: seeking ahead leaves a gap and rewatching adds nothing.
+    // Effective time is real viewing time (media time ÷ playbackRate).
+    // Saved under COVERAGE_KEY so a reload doesn't start from zero.
+    const COVERAGE_KEY = 'yt_coverage';
+    const MAX_COVERAGE_VIDEOS = 20;
+    const COMPLETION_COVERAGE = 0.9; // Share of the video watched before 'ended' completes it
+    const MAX_STEP_SECONDS = 3;      // Bigger timeupdate jumps are seeks (background tabs tick ~1s)
+
+    /**
+     * Add [start, end] to sorted, non-overlapping intervals (1s tolerance).
+     */
+    function mergeInterval(intervals, [start, end]) {
+        const merged = [];
+        let current = [start, end];
+        for (const interval of intervals) {
+            if (interval[1] < current[0] - 1 || interval[0] > current[1] + 1) {
+                merged.push(interval);
+            } else {
+                current = [Math.min(current[0], interval[0]), Math.max(current[1], interval[1])];
+            }
+        }
+        merged.push(current);
+        return merged.sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Intervals watched so far, including the open segment.
+     */
+    function getWatchedIntervals() {
+        if (!coverage) return [];
+        return segment && segment.end > segment.start
+            ? mergeInterval(coverage.intervals, [segment.start, segment.end])
+            : coverage.intervals;
+    }
+
+    function getCoveredSeconds() {
+        return getWatchedIntervals().reduce((sum, [start, end]) => sum + (end - start), 0);
+    }
+
+    function closeSegment() {
+        if (segment && coverage && segment.end > segment.start) {
+            coverage.intervals = mergeInterval(coverage.intervals, [segment.start, segment.end]);
+        }
+        segment = null;
+    }
+
+    /**
+     * Grow the open segment to `time`, or start a new one after a jump.
+     */
+    function extendSegment(time, rate) {
+        if (!segment) {
+            segment = { start: time, end: time, rate };
+            return;
+        }
+        const step = time - segment.end;
+        if (step >= 0 && step <= MAX_STEP_SECONDS * segment.rate) {
+            segment.end = time;
+            coverage.effectiveSeconds += step / segment.rate;
+            coverageDirty = true;
+        } else {
+            // Jumped without a seeking event (e.g. chapter click while buffering)
+            closeSegment();
+            segment = { start: time, end: time, rate };
+        }
+    }
+
+    function onCoverageTimeUpdate(event) {
+        const video = event.target;
+        // Ads report their own currentTime; the real video resumes where it was
+        if (!coverage || coverage.videoId !== getVideoId() || isAdPlaying()) {
+            closeSegment();
+            return;
+        }
+        if (!video.paused) extendSegment(video.currentTime, video.playbackRate || 1);
+    }
+
+    function onCoverageSeeking() {
+        closeSegment();
+    }
+
+    /**
+     * Count the time up to the change at the old rate, then carry on at the new one.
+     */
+    function onCoverageRateChange(event) {
+        const video = event.target;
+        if (!segment || !coverage || isAdPlaying()) return;
+        extendSegment(video.currentTime, segment.rate);
+        if (segment) segment.rate = video.playbackRate || 1;
+        console.log(`[LifeOS YT] Playback rate ${video.playbackRate}x`);
+    }
+
+    function onCoverageEnded() {
+        if (isAdPlaying()) return;
+        closeSegment();
+        if (currentChapterMatch && progressTrackingInterval) {
+            console.log('[LifeOS YT] Video ended - checking coverage before marking chapter complete');
+            sendProgressUpdate(currentChapterMatch, true);
+        }
+    }
+
+    /**
+     * Listen on the main <video>; YouTube usually reuses it across SPA
+     * navigation but can swap it out.
+     */
+    function attachCoverage() {
+        const video = document.querySelector('video.html5-main-video') || document.querySelector('video');
+        if (!video || video === coverageVideo) return;
+
+        if (coverageVideo) {
+            coverageVideo.removeEventListener('timeupdate', onCoverageTimeUpdate);
+            coverageVideo.removeEventListener('seeking', onCoverageSeeking);
+            coverageVideo.removeEventListener('ratechange', onCoverageRateChange);
+            coverageVideo.removeEventListener('ended', onCoverageEnded);
+        }
+        closeSegment();
+        video.addEventListener('timeupdate', onCoverageTimeUpdate);
+        video.addEventListener('seeking', onCoverageSeeking);
+        video.addEventListener('ratechange', onCoverageRateChange);
+        video.addEventListener('ended', onCoverageEnded);
+        coverageVideo = video;
+    }
+
+    /**
+     * Begin a coverage set for a new video, picking up what an earlier page
+     * load already saved for it.
+     */
+    function startCoverage(videoId) {
+        closeSegment();
+        coverage = { videoId, intervals: [], effectiveSeconds: 0 };
+        coverageDirty = false;
+        attachCoverage();
+
+        chrome.storage.local.get(COVERAGE_KEY, (result) => {
+            const saved = result[COVERAGE_KEY]?.[videoId];
+            if (!saved || coverage?.videoId !== videoId) return;
+            for (const interval of saved.intervals || []) {
+                coverage.intervals = mergeInterval(coverage.intervals, interval);
+            }
+            coverage.effectiveSeconds += saved.effective_seconds || 0;
+            console.log(`[LifeOS YT] Restored coverage for ${videoId}: ${Math.floor(getCoveredSeconds())}s watched before`);
+        });
+    }
+
+    /**
+     * Persist the current coverage, keeping the most recent videos only.
+     */
+    async function saveCoverage() {
+        if (!coverage || !coverageDirty) return;
+        coverageDirty = false;
+        // Snapshot first: the next video may start its own coverage meanwhile
+        const { videoId, effectiveSeconds } = coverage;
+        const intervals = getWatchedIntervals();
+        try {
+            const { [COVERAGE_KEY]: saved = {} } = await chrome.storage.local.get(COVERAGE_KEY);
+            saved[videoId] = { intervals, effective_seconds: effectiveSeconds, updated_at: Date.now() };
+            const recent = Object.entries(saved)
+                .sort((a, b) => b[1].updated_at - a[1].updated_at)
+                .slice(0, MAX_COVERAGE_VIDEOS);
+            await chrome.storage.local.set({ [COVERAGE_KEY]: Object.fromEntries(recent) });
+        } catch (e) {
+            console.debug('[LifeOS YT] Failed to save coverage:', e.message);
+        }
     }
 
     /**
      * Start real-time progress tracking for matched chapter.
-     * Sends video.currentTime to backend every 10 seconds.
+     * Sends watched coverage to backend every 10 seconds.
      */
     function startProgressTracking(chapterMatch) {
         // Stop any existing tracking
@@ -314,15 +802,8 @@
             sendProgressUpdate(chapterMatch, false);
         }, 10000); // 10 seconds
 
-        // Listen for video ended event
-        const videoElement = document.querySelector('video');
-        if (videoElement) {
-            videoElement.addEventListener('ended', () => {
-                console.log('[LifeOS YT] Video ended - marking chapter complete');
-                sendProgressUpdate(chapterMatch, true);
-                stopProgressTracking();
-            }, { once: true });
-        }
+        // 'ended' is handled by the coverage listeners (onCoverageEnded)
+        attachCoverage();
     }
 
     /**
@@ -361,9 +842,27 @@
         }, 2000);
     }
 
+    /**
+     * Call a utils/api.js endpoint through the background's API_REQUEST proxy.
+     * Rejects with an Error whose name is the client's error type
+     * (ApiError, AuthError, NetworkError, TimeoutError).
+     */
+    async function apiCall(endpoint, ...args) {
+        const response = await chrome.runtime.sendMessage({ type: 'API_REQUEST', data: { endpoint, args } });
+        if (!response?.ack) {
+            const error = new Error(response?.error || 'No response from background');
+            error.name = response?.error_type || 'ApiError';
+            error.status = response?.status || 0;
+            error.requestId = response?.request_id || null;
+            throw error;
+        }
+        return response.data;
+    }
+
     /**
      * Send current video progress to backend.
-     * Uses exact video.currentTime (no logic, strictly time).
+     * watched_seconds is the unique coverage (effective time for live
+     * streams, which have no length), not the playhead position.
      */
     async function sendProgressUpdate(chapterMatch, videoEnded) {
         try {
@@ -375,7 +874,7 @@
 
             // PRECAUTION: Verify video is still productive before updating
             const videoTitle = getVideoTitle();
-            const currentClassification = classifyVideo(videoTitle);
+            const currentClassification = classifyCurrentVideo(videoTitle).classification;
 
             if (currentClassification === 'distracting') {
                 console.log('[LifeOS YT] Distraction video detected - stopping progress tracking');
@@ -386,52 +885,63 @@
             const videoElement = document.querySelector('video');
             if (!videoElement) return;
 
-            // Auto-correct duration if it changed (e.g., ad finished, metadata loaded late)
-            const latestDuration = getVideoDuration();
-            if (latestDuration > 0 && latestDuration !== videoDuration) {
-                console.log(`[LifeOS YT] Duration corrected: ${videoDuration}s → ${latestDuration}s`);
-                videoDuration = latestDuration;
-            }
+            const live = isLiveStream();
+            const coveredSeconds = Math.floor(getCoveredSeconds());
+            const effectiveSeconds = Math.floor(coverage?.effectiveSeconds || 0);
 
-            // Don't send progress if we still have no valid duration
-            if (videoDuration <= 0) {
-                console.log('[LifeOS YT] Waiting for valid duration before sending progress...');
-                return;
+            if (!live) {
+                // Auto-correct duration if it changed (e.g., ad finished, metadata loaded late)
+                const latestDuration = getVideoDuration();
+                if (latestDuration > 0 && latestDuration !== videoDuration) {
+                    console.log(`[LifeOS YT] Duration corrected: ${videoDuration}s → ${latestDuration}s`);
+                    videoDuration = latestDuration;
+                }
+
+                // Don't send progress if we still have no valid duration
+                if (videoDuration <= 0) {
+                    console.log('[LifeOS YT] Waiting for valid duration before sending progress...');
+                    return;
+                }
             }
 
-            // Get EXACT current time from video player
-            const currentTime = Math.floor(videoElement.currentTime);
+            const watchedSeconds = live ? effectiveSeconds : coveredSeconds;
 
             // Skip if no meaningful progress
-            if (currentTime < 1 && !videoEnded) return;
+            if (watchedSeconds < 1 && !videoEnded) return;
+
+            // Seeking to the end fires 'ended' too: it only completes a chapter that was watched
+            const completed = videoEnded && (live || coveredSeconds >= videoDuration * COMPLETION_COVERAGE);
 
-            const pct = Math.min((currentTime / videoDuration) * 100, 100).toFixed(1);
-            console.log(`[LifeOS YT] Progress: ${currentTime}s / ${videoDuration}s (${pct}%)${videoEnded ? ' - VIDEO ENDED' : ''}`);
+            if (live) {
+                console.log(`[LifeOS YT] Live progress: ${effectiveSeconds}s watched${videoEnded ? ' - STREAM ENDED' : ''}`);
+            } else {
+                const pct = Math.min((coveredSeconds / videoDuration) * 100, 100).toFixed(1);
+                console.log(`[LifeOS YT] Progress: ${coveredSeconds}s of ${videoDuration}s watched (${pct}%), ${effectiveSeconds}s effective, at ${Math.floor(videoElement.currentTime)}s${completed ? ' - VIDEO ENDED' : ''}`);
+                if (videoEnded && !completed) {
+                    console.log(`[LifeOS YT] Reached the end with only ${pct}% watched — not marking complete`);
+                }
+            }
 
-            // Get auth token
             const { auth_token } = await chrome.storage.local.get('auth_token');
             if (!auth_token) return;
 
             // Send to backend API (include duration for server-side correction)
             // Also send video_title and channel_name to backfill if missing
-            const response = await fetch(`http://127.0.0.1:8000/api/ai/study-plan/${chapterMatch.plan_id}/chapter/${chapterMatch.chapter_index}/update-progress`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${auth_token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    watched_seconds: currentTime,
-                    video_ended: videoEnded,
-                    video_duration_seconds: videoDuration,
-                    video_title: videoTitle || null,
-                    creator_name: lastChannelName || null,
-                    playback_rate: videoElement.playbackRate || 1.0,
-                })
+            const result = await apiCall('updateChapterProgress', chapterMatch.plan_id, chapterMatch.chapter_index, {
+                watched_seconds: watchedSeconds,
+                covered_seconds: coveredSeconds,
+                effective_seconds: effectiveSeconds,
+                position_seconds: Math.floor(videoElement.currentTime),
+                watched_segments: getWatchedIntervals().map(([start, end]) => [Math.floor(start), Math.ceil(end)]),
+                video_ended: completed,
+                video_duration_seconds: live ? 0 : videoDuration,
+                is_live: live,
+                video_title: videoTitle || null,
+                creator_name: lastChannelName || null,
+                playback_rate: videoElement.playbackRate || 1.0,
             });
 
-            if (response.ok) {
-                const result = await response.json();
+            if (result) {
                 const statusLabel = result.just_completed ? ' - JUST COMPLETED ✓'
                     : result.was_already_completed ? ' (re-watch)'
                         : '';
@@ -444,6 +954,9 @@
                     stopProgressTracking();
                 }
             }
+
+            // Watched to the end: nothing more to report for this video
+            if (completed) stopProgressTracking();
         } catch (error) {
             console.debug('[LifeOS YT] Progress update failed:', error.message);
         }
@@ -469,17 +982,17 @@
         if (matchRetryInterval) return; // already running
         matchRetryInterval = setInterval(() => {
             if (!isContextValid()) { stopMatchRetry(); return; }
-            if (!window.location.pathname.startsWith('/watch')) { stopMatchRetry(); return; }
+            if (!isVideoPage() || isShortsPage()) { stopMatchRetry(); return; }
             if (currentChapterMatch) { stopMatchRetry(); return; } // already matched
 
             const videoId = getVideoId();
             const title = getVideoTitle();
             const duration = getVideoDuration() || videoDuration;
 
-            if (!videoId || !title || duration <= 0) return; // not ready yet
+            if (!videoId || !title || (duration <= 0 && !isLiveStream())) return; // not ready yet
 
-            const classification = classifyVideo(title);
-            if (classification !== 'productive') { stopMatchRetry(); return; }
+            const result = classifyCurrentVideo(title);
+            if (result.classification !== 'productive') { stopMatchRetry(); return; }
 
             console.log(`[LifeOS YT] Retrying chapter match for "${title}" (15s retry)`);
 
@@ -489,10 +1002,15 @@
                     data: {
                         title,
                         videoId,
-                        classification,
+                        classification: result.classification,
+                        score: result.score,
+                        confidence: result.confidence,
+                        reasons: result.reasons,
                         duration_seconds: duration,
+                        is_live: isLiveStream(),
                         video_url: window.location.href,
                         channel_name: lastChannelName || null,
+                        ...metadataFields(getVideoMetadata()),
                     },
                 }, (response) => {
                     if (chrome.runtime.lastError) {
@@ -517,31 +1035,42 @@
 
     /**
      * Send video info to background script.
+     * @param {boolean} [force] Report even if this video was already reported
      */
-    function reportVideoInfo() {
+    function reportVideoInfo(force = false) {
         if (!isContextValid()) return;
         const videoId = getVideoId();
 
-        // Only process watch pages
-        if (!videoId || !window.location.pathname.startsWith('/watch')) {
+        // Only process video pages (watch, Shorts, live)
+        if (!videoId || !isVideoPage()) {
             return;
         }
 
         const title = getVideoTitle();
 
+        // No title rendered yet — nothing to judge. The periodic check and the
+        // title observer call back in once it appears.
+        if (!title) return;
+
         // Skip if same video already reported
-        if (videoId === lastVideoId && title === lastTitle) {
+        if (!force && videoId === lastVideoId && title === lastTitle) {
             return;
         }
 
         lastVideoId = videoId;
         lastTitle = title;
         lastChannelName = null; // Reset channel name for this new video
+        lastDescription = null;
+        if (coverage?.videoId !== videoId) startCoverage(videoId);
         if (channelRetryInterval) { clearInterval(channelRetryInterval); channelRetryInterval = null; }
 
-        const classification = classifyVideo(title);
+        // Title and whatever metadata is in; channel and description refine it in the delayed report
+        let metadata = getVideoMetadata();
+        if (!metadata) requestPageData();
+        let result = classifyCurrentVideo(title);
+        let classification = result.classification;
 
-        console.log(`[LifeOS YT] "${title}" → ${classification} (immediate classification)`);
+        console.log(`[LifeOS YT] "${title}" → ${describeClassification(result)} (immediate classification)`);
 
         // IMMEDIATE: Write classification to storage so blockOverlay picks it up INSTANTLY
         // This triggers the storage.onChanged listener in blockOverlay within ~100ms
@@ -560,9 +1089,13 @@
                     title: title,
                     videoId: videoId,
                     classification: classification,
+                    score: result.score,
+                    confidence: result.confidence,
+                    reasons: result.reasons,
                     duration_seconds: 0, // Will be updated later
                     video_url: window.location.href,
-                    channel_name: null // Will be updated later
+                    channel_name: null, // Will be updated later
+                    ...metadataFields(metadata),
                 },
             }, (response) => {
                 if (chrome.runtime.lastError) {
@@ -575,11 +1108,12 @@
 
         // DELAYED: Get video duration and channel name (wait for page + ads to finish)
         setTimeout(async () => {
-            let channelName = getChannelName();
+            let channelName = getChannelName() || getVideoMetadata()?.channel_name || null;
             let duration = getVideoDuration();
 
-            // If duration is 0 (ad playing or metadata not loaded), wait for valid duration
-            if (duration === 0) {
+            // If duration is 0 (ad playing or metadata not loaded), wait for valid duration.
+            // Live streams have none and Shorts take theirs from the player response.
+            if (duration === 0 && getVideoKind() === 'video') {
                 console.log('[LifeOS YT] Duration not ready (ad may be playing), waiting...');
                 duration = await waitForValidDuration(60000); // Wait up to 60s
             }
@@ -595,6 +1129,7 @@
                     // lastChannelName is already updated inside startChannelNameRetry
                     // The next progress update (every 10s) will send it to backend
                     console.log(`[LifeOS YT] Channel name resolved: ${foundName} — will be sent on next progress update`);
+                    if (channelListFor(channelLists, foundName)) reclassifyCurrentVideo();
                 });
             }
 
@@ -602,9 +1137,19 @@
 
             // Extract description now — page has had 3s to render it
             const description = getVideoDescription();
+            lastDescription = description;
 
             if (!isContextValid()) return;
 
+            // Re-score with the channel, description and (by now) metadata
+            metadata = getVideoMetadata();
+            result = classifyCurrentVideo(title);
+            console.log(`[LifeOS YT] "${title}" → ${describeClassification(result)}`);
+            if (result.classification !== classification) {
+                classification = result.classification;
+                chrome.storage.local.set({ 'yt_current_classification': classification });
+            }
+
             // Once-per-video gate: if we already sent the full report for this videoId, skip.
             // Checked inside the callback so it survives yt-navigate-finish resets outside.
             if (delayedReportVideoId === videoId) {
@@ -620,10 +1165,15 @@
                         title: title,
                         videoId: videoId,
                         classification: classification,
+                        score: result.score,
+                        confidence: result.confidence,
+                        reasons: result.reasons,
                         duration_seconds: duration,
+                        is_live: isLiveStream(), // matched without a duration
                         video_url: window.location.href,
                         channel_name: channelName,
                         description: description,
+                        ...metadataFields(metadata),
                     },
                 }, (response) => {
                     if (chrome.runtime.lastError) {
@@ -636,7 +1186,8 @@
                         startProgressTracking(currentChapterMatch);
                     } else if (response && response.no_match_reason) {
                         console.warn(`[LifeOS YT] No chapter match — reason: ${response.no_match_reason}. Open chrome://extensions → LifeOS → background page for similarity scores.`);
-                        startMatchRetry(); // begin 15s retry loop
+                        // Retrying can't help while the privacy level keeps video details local
+                        if (response.no_match_reason !== 'privacy_level') startMatchRetry(); // begin 15s retry loop
                     } else {
                         console.log('[LifeOS YT] No chapter match returned from background');
                         startMatchRetry(); // begin 15s retry loop
@@ -650,24 +1201,56 @@
     }
 
     /**
-     * Redirect YouTube Shorts to main YouTube page.
+     * Redirect YouTube Shorts to main YouTube page (shorts_policy 'redirect').
      */
     function checkShortsRedirect() {
-        if (window.location.pathname.startsWith('/shorts/')) {
+        if (shortsPolicy === 'redirect' && isShortsPage()) {
             console.log('[LifeOS YT] Redirecting from Shorts to main page');
             window.location.href = 'https://www.youtube.com/';
         }
     }
 
     // ── Initial check ────────────────────────────────────────
-    checkShortsRedirect();
-    // Wait a moment for the page to fully render
-    setTimeout(reportVideoInfo, 500);
+    // Settings first, so the first classification already honours them
+    chrome.storage.local.get(['channel_lists', 'shorts_policy'], (result) => {
+        if (result.channel_lists) channelLists = result.channel_lists;
+        if (result.shorts_policy) shortsPolicy = result.shorts_policy;
+        checkShortsRedirect();
+        // Wait a moment for the page to fully render
+        setTimeout(reportVideoInfo, 500);
+    });
+
+    // Structured metadata from youtubePageData.js (MAIN world)
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || event.data?.source !== 'polaris-yt-page-data') return;
+        if (!isContextValid()) return;
+        const metadata = event.data.metadata;
+        if (!metadata?.video_id) return;
+
+        lastMetadata = metadata;
+        console.log(`[LifeOS YT] Metadata for ${metadata.video_id}: category=${metadata.category || '—'}, ${metadata.tags.length} tags, ${metadata.chapters.length} chapters${metadata.is_live_content ? ', live' : ''}`);
+        // Already reported on the title alone — score again with the metadata
+        if (metadata.video_id === lastVideoId) reclassifyCurrentVideo();
+    });
+
+    // Channel allowed/blocked from the side panel or the account; Shorts policy changed
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !isContextValid()) return;
+        if (!changes.channel_lists && !changes.shorts_policy) return;
+        if (changes.channel_lists) {
+            channelLists = changes.channel_lists.newValue || { allowed: [], blocked: [] };
+        }
+        if (changes.shorts_policy) {
+            shortsPolicy = changes.shorts_policy.newValue || 'distracting';
+            checkShortsRedirect();
+        }
+        reclassifyCurrentVideo();
+    });
 
     // ── Periodic check for video changes ──
     trackingInterval = setInterval(() => {
         if (!isContextValid()) return;
-        if (window.location.pathname.startsWith('/watch')) {
+        if (isVideoPage()) {
             const videoId = getVideoId();
             const title = getVideoTitle();
 
@@ -676,6 +1259,10 @@
                 reportVideoInfo();
             }
 
+            // Player element may have been swapped; keep coverage saved across reloads
+            attachCoverage();
+            saveCoverage();
+
             // Update duration periodically (in case it wasn't loaded initially)
             if (videoId === lastVideoId && videoDuration === 0) {
                 const duration = getVideoDuration();
@@ -706,6 +1293,9 @@
         lastVideoId = null;
         lastTitle = null;
         lastChannelName = null;
+        lastDescription = null;
+        saveCoverage(); // New coverage starts when the next video is reported
+        closeSegment();
         videoDuration = 0;
         currentChapterMatch = null;
         // NOTE: delayedReportVideoId intentionally NOT reset here — it is a once-per-videoId
@@ -720,7 +1310,7 @@
     titleObserver = new MutationObserver(() => {
         if (!isContextValid()) return;
         checkShortsRedirect();
-        if (window.location.pathname.startsWith('/watch')) {
+        if (isVideoPage()) {
             setTimeout(reportVideoInfo, 200);
         }
     });
@@ -744,6 +1334,21 @@
             reportVideoInfo();
             sendResponse({ ack: true });
         }
+        // Broadcast by utils/auth.js: no progress can be saved while signed
+        // out; after re-login the current video is matched again
+        if (message.type === 'SESSION_STATE') {
+            if (!isContextValid()) return false;
+            if (message.data?.expired) {
+                console.log('[LifeOS YT] Session expired — pausing chapter progress');
+                stopProgressTracking();
+            } else {
+                // Resume right away; the fresh report re-matches and
+                // restarts tracking with the new match
+                if (currentChapterMatch) startProgressTracking(currentChapterMatch);
+                delayedReportVideoId = null;
+                reportVideoInfo(true);
+            }
+        }
         return false;
     });
 })();
@@ -3,9 +3,17 @@
  * Sidebar with learning progress, study plans, and tracking status.
  */
 
-const API_BASE = 'https://polaris-api-wf4d.onrender.com/api';
+import { login, getStudyPlans, getStudyPlanProgress } from '../utils/api.js';
+import { clearSession, SESSION_EXPIRED_KEY } from '../utils/auth.js';
+import { dayKey } from '../utils/history.js';
+
 let authToken = null;
 
+// Active environment (see utils/config.js), loaded from the background in init()
+let environments = null;
+let apiBase = '';
+let dashboardUrl = '';
+
 // ── DOM Elements ────────────────────────────────────────
 const authSection = document.getElementById('authSection');
 const dashboardSection = document.getElementById('dashboardSection');
@@ -14,6 +22,8 @@ const logoutBtn = document.getElementById('logoutBtn');
 const loginEmail = document.getElementById('loginEmail');
 const loginPassword = document.getElementById('loginPassword');
 const authError = document.getElementById('authError');
+const authNotice = document.getElementById('authNotice');
+const authEnvSelect = document.getElementById('authEnvSelect');
 const userName = document.getElementById('userName');
 const statusDot = document.getElementById('statusDot');
 const refreshBtn = document.getElementById('refreshBtn');
@@ -22,6 +32,8 @@ const refreshBtn = document.getElementById('refreshBtn');
 const tabBtns = document.querySelectorAll('.tab-btn');
 const learningTab = document.getElementById('learningTab');
 const trackingTab = document.getElementById('trackingTab');
+const historyTab = document.getElementById('historyTab');
+const settingsTab = document.getElementById('settingsTab');
 
 // Learning Tab Elements
 const studyPlansList = document.getElementById('studyPlansList');
@@ -31,40 +43,94 @@ const todayProgress = document.getElementById('todayProgress');
 const completedChapters = document.getElementById('completedChapters');
 const totalChapters = document.getElementById('totalChapters');
 const studyPlansCount = document.getElementById('studyPlansCount');
+const createPlanLink = document.getElementById('createPlanLink');
 
 // Tracking Tab Elements
 const trackingStatus = document.getElementById('trackingStatus');
 const currentDomain = document.getElementById('currentDomain');
 const activeStatus = document.getElementById('activeStatus');
+const scrollStatus = document.getElementById('scrollStatus');
 const queueSize = document.getElementById('queueSize');
 const wsStatus = document.getElementById('wsStatus');
+const wsError = document.getElementById('wsError');
+const ytClassificationRow = document.getElementById('ytClassificationRow');
+const ytClassification = document.getElementById('ytClassification');
+const ytReasons = document.getElementById('ytReasons');
+const channelActions = document.getElementById('channelActions');
+const channelName = document.getElementById('channelName');
+const channelAllowBtn = document.getElementById('channelAllowBtn');
+const channelBlockBtn = document.getElementById('channelBlockBtn');
+const channelError = document.getElementById('channelError');
+const queueWarning = document.getElementById('queueWarning');
 const blockBtn = document.getElementById('blockBtn');
+const scheduleStatus = document.getElementById('scheduleStatus');
+const ruleUsage = document.getElementById('ruleUsage');
+const ruleError = document.getElementById('ruleError');
+const focusCountdown = document.getElementById('focusCountdown');
+const focusPhase = document.getElementById('focusPhase');
+const focusSetup = document.getElementById('focusSetup');
+const focusWork = document.getElementById('focusWork');
+const focusBreak = document.getElementById('focusBreak');
+const focusCycles = document.getElementById('focusCycles');
+const focusStartBtn = document.getElementById('focusStartBtn');
+const focusStopBtn = document.getElementById('focusStopBtn');
+const focusError = document.getElementById('focusError');
+const focusHistory = document.getElementById('focusHistory');
+let focusSession = null;
+let focusClockSkew = 0; // background clock − popup clock
 
+// History Tab Elements
+const historyPrev = document.getElementById('historyPrev');
+const historyNext = document.getElementById('historyNext');
+const historyDay = document.getElementById('historyDay');
+const historyProductive = document.getElementById('historyProductive');
+const historyDistracting = document.getElementById('historyDistracting');
+const historyNeutral = document.getElementById('historyNeutral');
+const historyTimeline = document.getElementById('historyTimeline');
+const historyRetention = document.getElementById('historyRetention');
+let historyOffsetDays = 0; // 0 = today, 1 = yesterday, ...
 
-// ── API Helper ──────────────────────────────────────────
-async function apiRequest(endpoint, options = {}) {
-    try {
-        const headers = {
-            'Content-Type': 'application/json',
-            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
-        };
-
-        const response = await fetch(`${API_BASE}${endpoint}`, {
-            ...options,
-            headers: { ...headers, ...options.headers },
-        });
-
-        if (!response.ok) {
-            const error = await response.json().catch(() => ({ detail: 'Request failed' }));
-            throw new Error(error.detail || 'Request failed');
-        }
-
-        return await response.json();
-    } catch (error) {
-        console.error(`API Error [${endpoint}]:`, error);
-        throw error;
-    }
-}
+// Settings Tab Elements
+const blockingModeSelect = document.getElementById('blockingModeSelect');
+const shortsPolicySelect = document.getElementById('shortsPolicySelect');
+const envSelect = document.getElementById('envSelect');
+const envApiBase = document.getElementById('envApiBase');
+const envWsUrl = document.getElementById('envWsUrl');
+const envDashboardUrl = document.getElementById('envDashboardUrl');
+const envSaveBtn = document.getElementById('envSaveBtn');
+const envError = document.getElementById('envError');
+const sitePatternInput = document.getElementById('sitePatternInput');
+const siteCategorySelect = document.getElementById('siteCategorySelect');
+const siteAddBtn = document.getElementById('siteAddBtn');
+const siteError = document.getElementById('siteError');
+const siteListsEl = document.getElementById('siteLists');
+const channelListsEl = document.getElementById('channelLists');
+const channelListError = document.getElementById('channelListError');
+const privacyLevelSelect = document.getElementById('privacyLevelSelect');
+const redactPatternInput = document.getElementById('redactPatternInput');
+const redactAddBtn = document.getElementById('redactAddBtn');
+const privacyError = document.getElementById('privacyError');
+const redactList = document.getElementById('redactList');
+const scheduleTargetType = document.getElementById('scheduleTargetType');
+const scheduleDomain = document.getElementById('scheduleDomain');
+const scheduleDays = document.getElementById('scheduleDays');
+const scheduleStart = document.getElementById('scheduleStart');
+const scheduleEnd = document.getElementById('scheduleEnd');
+const scheduleAddBtn = document.getElementById('scheduleAddBtn');
+const scheduleError = document.getElementById('scheduleError');
+const scheduleList = document.getElementById('scheduleList');
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const budgetTargetType = document.getElementById('budgetTargetType');
+const budgetDomain = document.getElementById('budgetDomain');
+const budgetCategory = document.getElementById('budgetCategory');
+const budgetMinutes = document.getElementById('budgetMinutes');
+const budgetAddBtn = document.getElementById('budgetAddBtn');
+const budgetError = document.getElementById('budgetError');
+const budgetList = document.getElementById('budgetList');
+const budgetWarnInput = document.getElementById('budgetWarnInput');
+const unlockUsage = document.getElementById('unlockUsage');
+const unlockLimitInput = document.getElementById('unlockLimitInput');
+const unlockLogList = document.getElementById('unlockLogList');
 
 
 // ── Auth ────────────────────────────────────────────────
@@ -82,16 +148,9 @@ loginBtn.addEventListener('click', async () => {
     authError.textContent = '';
 
     try {
-        const data = await apiRequest('/auth/login', {
-            method: 'POST',
-            body: JSON.stringify({ email, password }),
-        });
-
+        // Stores auth_token and user_data on success
+        const data = await login(email, password);
         authToken = data.access_token;
-        await chrome.storage.local.set({
-            auth_token: data.access_token,
-            user_data: data.user,
-        });
 
         // Notify background to initialize WebSocket
         chrome.runtime.sendMessage({ type: 'LOGIN_SUCCESS' });
@@ -107,11 +166,38 @@ loginBtn.addEventListener('click', async () => {
 });
 
 logoutBtn.addEventListener('click', async () => {
-    await chrome.storage.local.remove(['auth_token', 'user_data']);
+    await clearSession();
     authToken = null;
     showAuth();
 });
 
+/**
+ * Re-login prompt after the background or API client gave up on the
+ * session (see utils/auth.js). Logs tracked meanwhile stay queued.
+ */
+async function showSessionExpired() {
+    authToken = null;
+    showAuth();
+
+    const { user_data } = await chrome.storage.local.get('user_data');
+    if (user_data?.email && !loginEmail.value) {
+        loginEmail.value = user_data.email;
+    }
+
+    const status = await sendRuntimeMessage({ type: 'GET_STATUS' }).catch(() => null);
+    const queued = status?.data?.queueSize || 0;
+    authNotice.textContent = queued > 0
+        ? `Your session expired. Sign in again to sync ${queued} queued log${queued === 1 ? '' : 's'}.`
+        : 'Your session expired. Sign in again to keep syncing.';
+    authNotice.style.display = 'block';
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'SESSION_STATE' && message.data?.expired && authToken) {
+        showSessionExpired();
+    }
+});
+
 
 // ── UI State ────────────────────────────────────────────
 function showAuth() {
@@ -122,6 +208,7 @@ function showAuth() {
 
 function showDashboard(user) {
     authSection.style.display = 'none';
+    authNotice.style.display = 'none';
     dashboardSection.style.display = 'block';
     userName.textContent = user.username;
 }
@@ -139,12 +226,27 @@ tabBtns.forEach(btn => {
         // Show corresponding tab content
         learningTab.classList.remove('active');
         trackingTab.classList.remove('active');
+        historyTab.classList.remove('active');
+        settingsTab.classList.remove('active');
         
         if (tabName === 'learning') {
             learningTab.classList.add('active');
         } else if (tabName === 'tracking') {
             trackingTab.classList.add('active');
             refreshTrackingStatus();
+            loadFocusSession();
+        } else if (tabName === 'history') {
+            historyTab.classList.add('active');
+            loadHistory();
+        } else if (tabName === 'settings') {
+            settingsTab.classList.add('active');
+            loadBlockingMode();
+            loadSiteLists();
+            loadChannelLists();
+            loadPrivacy();
+            loadSchedules();
+            loadBudgets();
+            loadUnlockLog();
         }
     });
 });
@@ -161,7 +263,7 @@ async function loadLearningData() {
         studyPlansList.innerHTML = '<div class="loading-state"><div class="spinner"></div><p>Loading...</p></div>';
         
         const [plans, allProgress] = await Promise.all([
-            apiRequest('/ai/study-plans'),
+            getStudyPlans(),
             Promise.all([]).catch(() => []) // Will fetch individual progress below
         ]);
 
@@ -179,7 +281,7 @@ async function loadLearningData() {
         const plansWithProgress = await Promise.all(
             plans.map(async (plan) => {
                 try {
-                    const progress = await apiRequest(`/ai/study-plan/${plan.id}/progress`);
+                    const progress = await getStudyPlanProgress(plan.id);
                     return { ...plan, progress };
                 } catch {
                     return { ...plan, progress: null };
@@ -284,9 +386,11 @@ function renderStudyPlans(plans) {
                     </div>
                 ` : ''}
 
-                <a href="http://127.0.0.1:5173/learning" target="_blank" class="plan-link">
-                    View Full Plan
-                </a>
+                ${dashboardUrl ? `
+                    <a href="${escapeHtml(dashboardUrl)}/learning" target="_blank" class="plan-link">
+                        View Full Plan
+                    </a>
+                ` : ''}
             </div>
         `;
     }).join('');
@@ -318,12 +422,36 @@ async function refreshTrackingStatus() {
                 currentDomain.textContent = d.domain || '—';
             }
             
+            renderYtClassification(d.ytClassification);
+
             activeStatus.textContent = d.isActive ? 'YES' : 'NO';
             activeStatus.style.opacity = d.isActive ? '1' : '0.4';
+            scrollStatus.textContent = d.isDoomscrolling
+                ? 'DOOMSCROLLING'
+                : `${Math.round((d.scrollDepth || 0) * 100)}%`;
+            scrollStatus.style.opacity = d.isDoomscrolling ? '1' : '0.6';
             queueSize.textContent = d.queueSize || '0';
-            wsStatus.textContent = d.wsConnected ? 'LIVE' : 'OFFLINE';
+            renderQueueWarning(d.queueWarning);
+            wsStatus.textContent = describeConnection(d.connection, d.wsConnected);
             wsStatus.style.opacity = d.wsConnected ? '1' : '0.4';
             statusDot.className = `status-indicator ${d.wsConnected ? 'connected' : 'disconnected'}`;
+            const lastError = d.connection?.last_error;
+            wsError.textContent = lastError && !d.wsConnected
+                ? `${lastError.message} (${formatClock(lastError.at)})`
+                : '';
+
+            const schedules = d.activeSchedules || [];
+            scheduleStatus.textContent = schedules.length > 0
+                ? `${describeScheduleTarget(schedules[0])} until ${formatClock(schedules[0].until)}${schedules.length > 1 ? ` +${schedules.length - 1}` : ''}`
+                : '—';
+            scheduleStatus.style.opacity = schedules.length > 0 ? '1' : '0.4';
+
+            const usage = d.ruleUsage;
+            if (usage) {
+                ruleUsage.textContent = `${usage.rules} / ${usage.max}`;
+                ruleUsage.style.opacity = usage.rules >= usage.max * 0.9 ? '1' : '0.6';
+                ruleError.textContent = usage.error ? `Blocking rule failed — ${usage.error.message}` : '';
+            }
 
             // Update Block Button (only if tracking tab is visible)
             if (d.domain && trackingTab.classList.contains('active')) {
@@ -360,6 +488,712 @@ blockBtn.addEventListener('click', async () => {
     });
 });
 
+// ── History ─────────────────────────────────────────────
+function sendRuntimeMessage(message) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage(message, (res) => {
+            if (chrome.runtime.lastError) {
+                reject(chrome.runtime.lastError);
+            } else {
+                resolve(res);
+            }
+        });
+    });
+}
+
+// Also used inside quoted attributes, so quotes are escaped too
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function formatMinutes(seconds) {
+    const mins = Math.round((seconds || 0) / 60);
+    return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+}
+
+/**
+ * Offline queue nearly full / already dropping entries (see utils/storage.js).
+ * Shown above the tabs so it's seen before data is lost.
+ */
+function renderQueueWarning(warning) {
+    if (!warning) {
+        queueWarning.style.display = 'none';
+        return;
+    }
+    const percent = Math.round((warning.overflow / warning.capacity) * 100);
+    queueWarning.textContent = warning.level === 'discarding'
+        ? `Offline storage is full — ${warning.discarded} oldest tracking entries were discarded. Reconnect to sync the rest.`
+        : `Offline storage is ${percent}% full. Reconnect soon or the oldest tracking entries will be discarded.`;
+    queueWarning.style.display = 'block';
+}
+
+/**
+ * Why the active YouTube video was classified the way it was
+ * (classifyVideo() in content/youtubeTracker.js).
+ */
+function renderYtClassification(detail) {
+    if (!detail) {
+        ytClassificationRow.style.display = 'none';
+        ytReasons.style.display = 'none';
+        channelActions.style.display = 'none';
+        return;
+    }
+    const confidence = typeof detail.confidence === 'number' ? ` · ${Math.round(detail.confidence * 100)}%` : '';
+    const kind = detail.kind && detail.kind !== 'video' ? ` · ${detail.kind.toUpperCase()}` : '';
+    ytClassification.textContent = `${detail.classification.toUpperCase()}${confidence}${kind}`;
+    ytClassificationRow.style.display = 'flex';
+    ytReasons.innerHTML = (detail.reasons || []).map(reason => `<li>${escapeHtml(reason)}</li>`).join('');
+    ytReasons.style.display = ytReasons.innerHTML ? 'block' : 'none';
+
+    if (!detail.channel) {
+        channelActions.style.display = 'none';
+        return;
+    }
+    const playlist = detail.playlist;
+    channelName.textContent = playlist
+        ? `${detail.channel} · ${playlist.title}${playlist.index ? ` (${playlist.index}/${playlist.video_count})` : ''}`
+        : detail.channel;
+    channelAllowBtn.dataset.channel = detail.channel;
+    channelBlockBtn.dataset.channel = detail.channel;
+    channelAllowBtn.dataset.listed = detail.channel_list === 'allowed' ? 'true' : '';
+    channelBlockBtn.dataset.listed = detail.channel_list === 'blocked' ? 'true' : '';
+    channelAllowBtn.textContent = detail.channel_list === 'allowed' ? 'Stop always allowing' : 'Always allow channel';
+    channelBlockBtn.textContent = detail.channel_list === 'blocked' ? 'Stop always blocking' : 'Always block channel';
+    channelActions.style.display = 'block';
+}
+
+/**
+ * Toggle the active video's channel on a list (utils/channelLists.js).
+ * youtubeTracker re-classifies the open video as soon as the list changes.
+ */
+async function toggleChannel(btn, list) {
+    channelError.textContent = '';
+    btn.disabled = true;
+    const response = await sendRuntimeMessage(btn.dataset.listed
+        ? { type: 'REMOVE_CHANNEL', data: { channel: btn.dataset.channel } }
+        : { type: 'ADD_CHANNEL', data: { list, channel: btn.dataset.channel } }
+    ).catch(e => ({ ack: false, error: e.message }));
+    btn.disabled = false;
+
+    if (!response?.ack) {
+        channelError.textContent = response?.error || 'Could not update channel';
+    }
+    refreshTrackingStatus();
+}
+
+channelAllowBtn.addEventListener('click', () => toggleChannel(channelAllowBtn, 'allowed'));
+channelBlockBtn.addEventListener('click', () => toggleChannel(channelBlockBtn, 'blocked'));
+
+/**
+ * WebSocket connection state from getConnectionState() in utils/websocket.js.
+ */
+function describeConnection(connection, connected) {
+    if (!connection) return connected ? 'LIVE' : 'OFFLINE';
+    switch (connection.state) {
+        case 'connected':
+            return 'LIVE';
+        case 'connecting':
+        case 'authenticating':
+            return 'CONNECTING';
+        case 'reconnecting': {
+            const seconds = Math.max(0, Math.ceil((connection.next_retry_at - Date.now()) / 1000));
+            return `RETRY IN ${seconds}s (#${connection.attempt})`;
+        }
+        case 'offline':
+            return 'NO NETWORK';
+        case 'auth_rejected':
+            return 'SIGN-IN REJECTED';
+        default:
+            return 'OFFLINE';
+    }
+}
+
+function formatClock(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function historyDayKey(offsetDays) {
+    const d = new Date();
+    d.setDate(d.getDate() - offsetDays);
+    return dayKey(d);
+}
+
+async function loadHistory() {
+    const day = historyDayKey(historyOffsetDays);
+    historyDay.textContent = historyOffsetDays === 0 ? 'Today'
+        : historyOffsetDays === 1 ? 'Yesterday'
+            : day;
+    historyNext.disabled = historyOffsetDays === 0;
+
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_HISTORY', data: { day } });
+        const timeline = response?.data || { blocks: [], totals: {} };
+
+        historyProductive.textContent = formatMinutes(timeline.totals.productive);
+        historyDistracting.textContent = formatMinutes(timeline.totals.distracting);
+        historyNeutral.textContent = formatMinutes(timeline.totals.neutral);
+
+        if (timeline.blocks.length === 0) {
+            historyTimeline.innerHTML = '<div class="empty-state"><p>No activity recorded</p></div>';
+            return;
+        }
+
+        // Most recent first
+        historyTimeline.innerHTML = timeline.blocks.slice().reverse().map(block => `
+            <div class="timeline-block ${escapeHtml(block.category)}">
+                <span class="timeline-time">${formatClock(block.started_at)}</span>
+                <span class="timeline-marker"></span>
+                <div class="timeline-body">
+                    <div class="timeline-domain">${escapeHtml(block.domain)}</div>
+                    <div class="timeline-meta">
+                        ${formatMinutes(block.duration_seconds)} · ${escapeHtml(block.category)}${block.titles.length ? ' · ' + escapeHtml(block.titles[0]) : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    } catch (e) {
+        historyTimeline.innerHTML = '<div class="empty-state"><p>History unavailable</p></div>';
+    }
+}
+
+historyPrev.addEventListener('click', () => {
+    historyOffsetDays++;
+    loadHistory();
+});
+
+historyNext.addEventListener('click', () => {
+    if (historyOffsetDays === 0) return;
+    historyOffsetDays--;
+    loadHistory();
+});
+
+historyRetention.addEventListener('change', () => {
+    chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'history_retention_days', value: Number(historyRetention.value) }
+    }, () => loadHistory());
+});
+
+// ── Site Lists ──────────────────────────────────────────
+function renderSiteLists(lists) {
+    siteListsEl.innerHTML = ['distracting', 'productive', 'neutral'].map(category => `
+        <div>
+            <div class="site-list-title">${category} (${lists[category].length})</div>
+            <div class="site-chips">
+                ${lists[category].map(pattern => `
+                    <span class="site-chip">
+                        ${escapeHtml(pattern)}
+                        <button data-category="${category}" data-pattern="${escapeHtml(pattern)}" title="Remove">×</button>
+                    </span>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+async function loadSiteLists() {
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_SITE_LISTS' });
+        if (response?.data) renderSiteLists(response.data);
+    } catch (e) {
+        siteError.textContent = 'Could not load site lists';
+    }
+}
+
+siteAddBtn.addEventListener('click', async () => {
+    const pattern = sitePatternInput.value.trim();
+    if (!pattern) return;
+    siteError.textContent = '';
+
+    const response = await sendRuntimeMessage({
+        type: 'ADD_SITE_PATTERN',
+        data: { category: siteCategorySelect.value, pattern },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (response?.ack) {
+        sitePatternInput.value = '';
+        renderSiteLists(response.data);
+    } else {
+        siteError.textContent = response?.error || 'Could not add site';
+    }
+});
+
+siteListsEl.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-pattern]');
+    if (!btn) return;
+
+    const response = await sendRuntimeMessage({
+        type: 'REMOVE_SITE_PATTERN',
+        data: { category: btn.dataset.category, pattern: btn.dataset.pattern },
+    }).catch(() => null);
+    if (response?.data) renderSiteLists(response.data);
+});
+
+// ── Channel Lists ───────────────────────────────────────
+function renderChannelLists(lists) {
+    channelListsEl.innerHTML = ['allowed', 'blocked'].map(list => `
+        <div>
+            <div class="site-list-title">${list} (${lists[list].length})</div>
+            <div class="site-chips">
+                ${lists[list].map(entry => `
+                    <span class="site-chip" ${entry.source === 'server' ? 'title="Set by your account"' : ''}>
+                        ${escapeHtml(entry.name)}
+                        ${entry.source === 'server' ? '' : `<button data-channel="${escapeHtml(entry.name)}" title="Remove">×</button>`}
+                    </span>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+async function loadChannelLists() {
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_CHANNEL_LISTS' });
+        if (response?.data) renderChannelLists(response.data);
+    } catch (e) {
+        channelListError.textContent = 'Could not load channel lists';
+    }
+}
+
+channelListsEl.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-channel]');
+    if (!btn) return;
+    channelListError.textContent = '';
+
+    const response = await sendRuntimeMessage({
+        type: 'REMOVE_CHANNEL',
+        data: { channel: btn.dataset.channel },
+    }).catch(e => ({ ack: false, error: e.message }));
+    if (response?.ack) {
+        renderChannelLists(response.data);
+    } else {
+        channelListError.textContent = response?.error || 'Could not remove channel';
+    }
+});
+
+// ── Privacy ─────────────────────────────────────────────
+function renderPrivacy(policy) {
+    privacyLevelSelect.value = policy.level;
+    redactList.innerHTML = policy.redacted_domains.map(pattern => `
+        <span class="site-chip">
+            ${escapeHtml(pattern)}
+            <button data-pattern="${escapeHtml(pattern)}" title="Remove">×</button>
+        </span>
+    `).join('');
+}
+
+async function loadPrivacy() {
+    const response = await sendRuntimeMessage({ type: 'GET_PRIVACY' }).catch(() => null);
+    if (response?.data) renderPrivacy(response.data);
+}
+
+privacyLevelSelect.addEventListener('change', async () => {
+    const response = await sendRuntimeMessage({
+        type: 'SET_PRIVACY_LEVEL',
+        data: { level: privacyLevelSelect.value },
+    }).catch(() => null);
+    if (response?.data) renderPrivacy(response.data);
+});
+
+redactAddBtn.addEventListener('click', async () => {
+    const pattern = redactPatternInput.value.trim();
+    if (!pattern) return;
+    privacyError.textContent = '';
+
+    const response = await sendRuntimeMessage({
+        type: 'ADD_REDACTED_DOMAIN',
+        data: { pattern },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (response?.ack) {
+        redactPatternInput.value = '';
+        renderPrivacy(response.data);
+    } else {
+        privacyError.textContent = response?.error || 'Could not add site';
+    }
+});
+
+redactList.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-pattern]');
+    if (!btn) return;
+
+    const response = await sendRuntimeMessage({
+        type: 'REMOVE_REDACTED_DOMAIN',
+        data: { pattern: btn.dataset.pattern },
+    }).catch(() => null);
+    if (response?.data) renderPrivacy(response.data);
+});
+
+// ── Schedules ───────────────────────────────────────────
+function describeScheduleTarget(schedule) {
+    return schedule.target.type === 'domain' ? schedule.target.domain : `All ${schedule.target.category}`;
+}
+
+function describeDays(days) {
+    const sorted = [1, 2, 3, 4, 5, 6, 0].filter(d => days.includes(d));
+    if (sorted.length === 7) return 'Every day';
+    if (sorted.join() === '1,2,3,4,5') return 'Mon–Fri';
+    if (sorted.join() === '6,0') return 'Weekends';
+    return sorted.map(d => DAY_NAMES[d]).join(' ');
+}
+
+function renderSchedules(schedules) {
+    if (schedules.length === 0) {
+        scheduleList.innerHTML = '';
+        return;
+    }
+    scheduleList.innerHTML = schedules.map(schedule => `
+        <div class="schedule-item">
+            <span>
+                ${escapeHtml(describeScheduleTarget(schedule))}
+                <span class="timeline-meta">${describeDays(schedule.days)} ${escapeHtml(schedule.start)}–${escapeHtml(schedule.end)}</span>
+            </span>
+            <span class="site-chip"><button data-schedule-id="${escapeHtml(schedule.id)}" title="Remove">×</button></span>
+        </div>
+    `).join('');
+}
+
+async function loadSchedules() {
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_SCHEDULES' });
+        if (response?.data) renderSchedules(response.data);
+    } catch (e) {
+        scheduleError.textContent = 'Could not load schedules';
+    }
+}
+
+scheduleTargetType.addEventListener('change', () => {
+    scheduleDomain.style.display = scheduleTargetType.value === 'domain' ? '' : 'none';
+});
+
+scheduleDays.addEventListener('click', (event) => {
+    const btn = event.target.closest('.day-btn');
+    if (btn) btn.classList.toggle('active');
+});
+
+scheduleAddBtn.addEventListener('click', async () => {
+    scheduleError.textContent = '';
+    const target = scheduleTargetType.value === 'domain'
+        ? { type: 'domain', domain: scheduleDomain.value.trim().toLowerCase().replace(/^www\./, '') }
+        : { type: 'category', category: 'distracting' };
+    const days = Array.from(scheduleDays.querySelectorAll('.day-btn.active'))
+        .map(btn => Number(btn.dataset.day));
+
+    const response = await sendRuntimeMessage({
+        type: 'ADD_SCHEDULE',
+        data: { target, days, start: scheduleStart.value, end: scheduleEnd.value },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (response?.ack) {
+        scheduleDomain.value = '';
+        renderSchedules(response.data);
+    } else {
+        scheduleError.textContent = response?.error || 'Could not add schedule';
+    }
+});
+
+scheduleList.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-schedule-id]');
+    if (!btn) return;
+    const response = await sendRuntimeMessage({
+        type: 'REMOVE_SCHEDULE',
+        data: { id: btn.dataset.scheduleId },
+    }).catch(() => null);
+    if (response?.data) renderSchedules(response.data);
+});
+
+// ── Budgets ─────────────────────────────────────────────
+function renderBudgets(budgets) {
+    budgetList.innerHTML = budgets.map(budget => {
+        const pct = Math.min(100, Math.round((budget.used_seconds / budget.limit_seconds) * 100));
+        return `
+            <div class="schedule-item" style="flex-direction: column; align-items: stretch; gap: 6px;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <span>${escapeHtml(budget.label)}</span>
+                    <span class="site-chip"><button data-budget-id="${escapeHtml(budget.id)}" title="Remove">×</button></span>
+                </div>
+                <span class="timeline-meta">${formatMinutes(budget.used_seconds)} used${budget.exhausted ? ' · BLOCKED UNTIL MIDNIGHT' : ''}</span>
+                <div class="progress-bar-small">
+                    <div class="progress-fill-small" style="width: ${pct}%"></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function loadBudgets() {
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_BUDGETS' });
+        if (response?.data) renderBudgets(response.data);
+    } catch (e) {
+        budgetError.textContent = 'Could not load budgets';
+    }
+
+    const { budget_warn_thresholds } = await chrome.storage.local.get('budget_warn_thresholds');
+    budgetWarnInput.value = (budget_warn_thresholds || [0.5, 0.9]).map(t => Math.round(t * 100)).join(', ');
+}
+
+budgetTargetType.addEventListener('change', () => {
+    const isDomain = budgetTargetType.value === 'domain';
+    budgetDomain.style.display = isDomain ? '' : 'none';
+    budgetCategory.style.display = isDomain ? 'none' : '';
+});
+
+budgetAddBtn.addEventListener('click', async () => {
+    budgetError.textContent = '';
+    const target = budgetTargetType.value === 'domain'
+        ? { type: 'domain', domain: budgetDomain.value.trim() }
+        : { type: 'category', category: budgetCategory.value };
+
+    const response = await sendRuntimeMessage({
+        type: 'ADD_BUDGET',
+        data: { target, minutes: Number(budgetMinutes.value) },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (response?.ack) {
+        budgetDomain.value = '';
+        renderBudgets(response.data);
+    } else {
+        budgetError.textContent = response?.error || 'Could not add budget';
+    }
+});
+
+budgetList.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-budget-id]');
+    if (!btn) return;
+    const response = await sendRuntimeMessage({
+        type: 'REMOVE_BUDGET',
+        data: { id: btn.dataset.budgetId },
+    }).catch(() => null);
+    if (response?.data) renderBudgets(response.data);
+});
+
+budgetWarnInput.addEventListener('change', () => {
+    const thresholds = budgetWarnInput.value.split(',')
+        .map(v => Number(v.trim()) / 100)
+        .filter(t => t > 0 && t < 1)
+        .sort((a, b) => a - b);
+    chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'budget_warn_thresholds', value: thresholds }
+    });
+});
+
+// ── Environment ─────────────────────────────────────────
+function fillEnvironmentHosts(name) {
+    const env = environments.environments.find(e => e.name === name);
+    envApiBase.value = env.apiBase;
+    envWsUrl.value = env.wsUrl;
+    envDashboardUrl.value = env.dashboardUrl;
+}
+
+function applyEnvironment(data) {
+    environments = data;
+    const current = data.environments.find(e => e.name === data.current);
+    apiBase = current.apiBase;
+    dashboardUrl = current.dashboardUrl;
+    createPlanLink.href = `${dashboardUrl}/learning`;
+    createPlanLink.hidden = !dashboardUrl;
+
+    const options = data.environments
+        .map(env => `<option value="${escapeHtml(env.name)}">${escapeHtml(env.label)}</option>`)
+        .join('');
+    authEnvSelect.innerHTML = options;
+    envSelect.innerHTML = options;
+    authEnvSelect.value = data.current;
+    envSelect.value = data.current;
+    fillEnvironmentHosts(data.current);
+}
+
+async function loadEnvironment() {
+    const response = await sendRuntimeMessage({ type: 'GET_ENVIRONMENT' }).catch(() => null);
+    if (response?.data) applyEnvironment(response.data);
+}
+
+/**
+ * Switch environment. Changing backends signs the user out.
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+async function switchEnvironment(name, hosts = null) {
+    const response = await sendRuntimeMessage({
+        type: 'SET_ENVIRONMENT',
+        data: { name, hosts },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (!response?.ack) {
+        return response?.error || 'Could not switch environment';
+    }
+
+    const previousApiBase = apiBase;
+    applyEnvironment(response.data);
+    if (apiBase !== previousApiBase && authToken) {
+        authToken = null;
+        showAuth();
+    }
+    return null;
+}
+
+authEnvSelect.addEventListener('change', async () => {
+    authError.textContent = '';
+    const error = await switchEnvironment(authEnvSelect.value);
+    if (error) {
+        authError.textContent = error;
+        authEnvSelect.value = environments.current;
+    }
+});
+
+envSelect.addEventListener('change', () => {
+    envError.textContent = '';
+    fillEnvironmentHosts(envSelect.value);
+});
+
+envSaveBtn.addEventListener('click', async () => {
+    envError.textContent = '';
+    const hosts = {
+        apiBase: envApiBase.value.trim(),
+        wsUrl: envWsUrl.value.trim(),
+        dashboardUrl: envDashboardUrl.value.trim(),
+    };
+
+    // Custom hosts need host permission for the service worker's fetches and
+    // WebSocket; ask while we still have the click's user gesture
+    const origins = new Set();
+    for (const url of [hosts.apiBase, hosts.wsUrl, hosts.dashboardUrl]) {
+        try {
+            origins.add(`${new URL(url).origin}/*`);
+        } catch (e) {
+            // Empty or invalid — the background reports invalid ones below
+        }
+    }
+    if (origins.size > 0) {
+        try {
+            await chrome.permissions.request({ origins: [...origins] });
+        } catch (e) {
+            console.log('[Popup] Host permission request failed:', e.message);
+        }
+    }
+
+    const error = await switchEnvironment(envSelect.value, hosts);
+    envError.textContent = error || '';
+});
+
+// ── Blocking Mode ───────────────────────────────────────
+async function loadBlockingMode() {
+    const { blocking_mode, shorts_policy } = await chrome.storage.local.get(['blocking_mode', 'shorts_policy']);
+    blockingModeSelect.value = blocking_mode || 'hard';
+    shortsPolicySelect.value = shorts_policy || 'distracting';
+}
+
+blockingModeSelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'blocking_mode', value: blockingModeSelect.value }
+    }, () => refreshTrackingStatus());
+});
+
+// youtubeTracker follows shorts_policy from storage
+shortsPolicySelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'shorts_policy', value: shortsPolicySelect.value }
+    }, () => refreshTrackingStatus());
+});
+
+// ── Temporary Unlocks ───────────────────────────────────
+async function loadUnlockLog() {
+    const response = await sendRuntimeMessage({ type: 'GET_UNLOCK_LOG' }).catch(() => null);
+    if (!response?.data) return;
+
+    const { policy, log } = response.data;
+    unlockUsage.textContent = `${policy.used_today} / ${policy.daily_limit}`;
+    unlockLimitInput.value = String(policy.daily_limit);
+    unlockLogList.innerHTML = log.length === 0
+        ? '<span class="timeline-meta">No unlocks yet</span>'
+        : log.map(entry => `
+            <div class="schedule-item" style="flex-direction: column; align-items: stretch; gap: 4px;">
+                <span>${escapeHtml(entry.domain)} · ${escapeHtml(entry.day)} ${formatClock(entry.granted_at)}</span>
+                <span class="timeline-meta">${escapeHtml(entry.reason)}</span>
+            </div>
+        `).join('');
+}
+
+unlockLimitInput.addEventListener('change', () => {
+    const limit = Math.max(0, Math.floor(Number(unlockLimitInput.value) || 0));
+    chrome.runtime.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'unlock_daily_limit', value: limit }
+    }, () => loadUnlockLog());
+});
+
+// ── Focus Session ───────────────────────────────────────
+function renderFocusCountdown() {
+    if (!focusSession) {
+        focusCountdown.textContent = '--:--';
+        return;
+    }
+    const remaining = Math.max(0, focusSession.phase_ends_at - (Date.now() + focusClockSkew));
+    const mins = Math.floor(remaining / 60000);
+    const secs = Math.floor((remaining % 60000) / 1000);
+    focusCountdown.textContent = `${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+function renderFocusSession(status) {
+    focusSession = status.session;
+    focusClockSkew = status.now ? status.now - Date.now() : 0;
+    const running = !!focusSession;
+
+    focusPhase.textContent = running
+        ? `${focusSession.phase === 'work' ? 'WORK' : 'BREAK'} · ${focusSession.cycle}/${focusSession.cycles} · ${focusSession.interruptions} interruptions`
+        : 'Not running';
+    focusSetup.style.display = running ? 'none' : '';
+    focusStartBtn.style.display = running ? 'none' : '';
+    focusStopBtn.style.display = running ? '' : 'none';
+    renderFocusCountdown();
+
+    focusHistory.innerHTML = (status.history || []).map(record => `
+        <div class="schedule-item">
+            <span>${formatClock(record.started_at)} · ${formatMinutes(record.achieved_work_seconds)} / ${formatMinutes(record.planned_work_seconds)}</span>
+            <span class="timeline-meta">${record.status === 'completed' ? 'Done' : 'Stopped'} · ${record.interruptions} int.</span>
+        </div>
+    `).join('');
+}
+
+async function loadFocusSession() {
+    try {
+        const response = await sendRuntimeMessage({ type: 'GET_FOCUS_SESSION' });
+        if (response?.data) renderFocusSession(response.data);
+    } catch (e) {
+        // Background not ready yet
+    }
+}
+
+focusStartBtn.addEventListener('click', async () => {
+    focusError.textContent = '';
+    const response = await sendRuntimeMessage({
+        type: 'START_FOCUS_SESSION',
+        data: {
+            work_minutes: Number(focusWork.value),
+            break_minutes: Number(focusBreak.value),
+            cycles: Number(focusCycles.value),
+        },
+    }).catch(e => ({ ack: false, error: e.message }));
+
+    if (response?.ack) {
+        renderFocusSession(response.data);
+    } else {
+        focusError.textContent = response?.error || 'Could not start focus session';
+    }
+});
+
+focusStopBtn.addEventListener('click', async () => {
+    const response = await sendRuntimeMessage({ type: 'STOP_FOCUS_SESSION' }).catch(() => null);
+    if (response?.data) renderFocusSession(response.data);
+});
+
+setInterval(renderFocusCountdown, 1000);
+
 // Refresh button
 refreshBtn.addEventListener('click', () => {
     refreshBtn.style.animation = 'spin 0.5s linear';
@@ -372,13 +1206,19 @@ refreshBtn.addEventListener('click', () => {
 
 // ── Initialize ──────────────────────────────────────────
 async function init() {
-    const result = await chrome.storage.local.get(['auth_token', 'user_data']);
+    await loadEnvironment();
+    const result = await chrome.storage.local.get(['auth_token', 'user_data', SESSION_EXPIRED_KEY]);
+
+    const { history_retention_days } = await chrome.storage.local.get('history_retention_days');
+    historyRetention.value = String(history_retention_days || 30);
 
     if (result.auth_token && result.user_data) {
         authToken = result.auth_token;
         showDashboard(result.user_data);
         loadLearningData();
         refreshTrackingStatus();
+    } else if (result[SESSION_EXPIRED_KEY]) {
+        showSessionExpired();
     } else {
         showAuth();
     }
@@ -390,6 +1230,9 @@ init();
 setInterval(() => {
     if (authToken) {
         refreshTrackingStatus(); // Always refresh tracking status for live updates
+        if (trackingTab.classList.contains('active')) {
+            loadFocusSession();
+        }
     }
 }, 3000);
 
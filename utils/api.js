@@ -1,74 +1,269 @@
 /**
  * LifeOS – API Client (Extension)
- * Handles all backend communication with retry logic.
+ * The one backend client for every extension context.
+ *
+ * The background and the module pages (popup, blocked page) import it
+ * directly; content scripts cannot import modules, so they call the
+ * endpoints listed in PROXY_ENDPOINTS through the background's
+ * API_REQUEST message (see handleProxyRequest()).
+ *
+ * Every request carries an X-Request-ID (kept across retries) so a
+ * failure in the extension console can be found in the backend logs.
+ *
+ * Access tokens are refreshed shortly before they expire and once more on
+ * a 401; when the refresh token is gone or rejected the session is marked
+ * expired (see utils/auth.js).
  */
 
-const API_BASE = 'https://polaris-api-wf4d.onrender.com/api';
+import { getApiBase } from './config.js';
+import { getTokens, isTokenExpiring, storeSession, markSessionExpired } from './auth.js';
+import { filterOutgoing, getPrivacyPolicy, applyPrivacyPolicy } from './privacyFilter.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 3;
+// A Retry-After longer than this is treated as "not now" rather than waited out
+const MAX_RETRY_DELAY_MS = 30000;
+
+// ═══════════════════════════════════════════════════════════
+//  ERRORS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * The backend answered with a non-2xx status. `detail` is the backend's
+ * own message when it sent one. `mayHaveReachedServer` is set by
+ * apiRequest() when some attempt timed out or got a 5xx, so the backend
+ * may have acted on the request even though it failed.
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 0, detail = null, requestId = null, endpoint = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.detail = detail;
+        this.requestId = requestId;
+        this.endpoint = endpoint;
+        this.mayHaveReachedServer = false;
+    }
+}
+
+/** 401/403 — the token is missing, expired or not allowed. Never retried. */
+export class AuthError extends ApiError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'AuthError';
+    }
+}
+
+/** The request never got a response (offline, DNS, CORS, reset). */
+export class NetworkError extends ApiError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'NetworkError';
+    }
+}
+
+/** No response within the timeout; the request was aborted. */
+export class TimeoutError extends ApiError {
+    constructor(message, info) {
+        super(message, info);
+        this.name = 'TimeoutError';
+    }
+}
+
+const ERROR_TYPES = { ApiError, AuthError, NetworkError, TimeoutError };
+
+// ═══════════════════════════════════════════════════════════
+//  CORE REQUEST
+// ═══════════════════════════════════════════════════════════
+
+let refreshing = null;
 
 /**
- * Get stored auth token.
+ * Exchange the refresh token for a new access token. Concurrent callers
+ * share one exchange.
+ * @returns {Promise<string|null>} The new access token, or null when the
+ *   session had to be marked expired
+ * @throws {NetworkError|TimeoutError|ApiError} when the backend couldn't be
+ *   asked — the session is kept and the caller may try again later
  */
-async function getToken() {
-    const result = await chrome.storage.local.get('auth_token');
-    return result.auth_token || null;
+export function refreshSession() {
+    if (!refreshing) {
+        refreshing = (async () => {
+            const { refreshToken } = await getTokens();
+            if (!refreshToken) {
+                await markSessionExpired('token_expired');
+                return null;
+            }
+            try {
+                const response = await apiRequest('/auth/refresh', {
+                    method: 'POST',
+                    body: JSON.stringify({ refresh_token: refreshToken }),
+                    auth: false,
+                });
+                await storeSession(response);
+                console.log('[Auth] Access token refreshed');
+                return response.access_token;
+            } catch (error) {
+                if (error instanceof AuthError) {
+                    await markSessionExpired('refresh_rejected');
+                    return null;
+                }
+                throw error;
+            }
+        })().finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+/**
+ * The stored access token, refreshed first if it is about to expire.
+ * If the refresh can't reach the backend the old token is returned and
+ * the request decides.
+ */
+export async function getAccessToken() {
+    const { accessToken } = await getTokens();
+    if (!accessToken || !isTokenExpiring(accessToken)) return accessToken;
+    try {
+        return await refreshSession();
+    } catch (e) {
+        console.log('[Auth] Refresh failed, using current token:', e.message);
+        return accessToken;
+    }
+}
+
+function newRequestId() {
+    return crypto.randomUUID();
 }
 
 /**
- * Make an authenticated API request with retry.
- * @param {string} endpoint 
- * @param {Object} options 
- * @param {number} retries 
- * @returns {Promise<Object>}
+ * Retry-After as milliseconds (delta-seconds or HTTP-date), or null.
  */
-export async function apiRequest(endpoint, options = {}, retries = 3) {
-    const token = await getToken();
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function readDetail(response) {
+    try {
+        const body = await response.json();
+        if (typeof body?.detail === 'string') return body.detail;
+        // FastAPI validation errors: [{ loc, msg, type }, ...]
+        if (Array.isArray(body?.detail)) return body.detail.map(d => d.msg).join('; ');
+    } catch (e) { /* not JSON */ }
+    return null;
+}
+
+function isRetryable(error) {
+    return error instanceof NetworkError
+        || error instanceof TimeoutError
+        || (error instanceof ApiError && (error.status >= 500 || error.status === 429));
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Make an authenticated API request with timeout and retry.
+ * Retries network errors, timeouts, 5xx and 429 (honouring Retry-After);
+ * everything else throws straight away.
+ * @param {string} endpoint Path below the environment's API base, e.g. '/ai/study-plans'
+ * @param {Object} options fetch options, plus `timeout` (ms) and `auth`
+ *   (false to send no token, e.g. for login)
+ * @param {number} retries Total attempts
+ * @returns {Promise<Object|null>} Parsed JSON body (null for 204)
+ * @throws {ApiError|AuthError|NetworkError|TimeoutError}
+ */
+export async function apiRequest(endpoint, options = {}, retries = DEFAULT_RETRIES) {
+    const { timeout = DEFAULT_TIMEOUT_MS, auth = true, headers, ...fetchOptions } = options;
+    const token = auth ? await getAccessToken() : null;
+    const requestId = newRequestId();
+    const apiBase = await getApiBase();
 
     const config = {
+        ...fetchOptions,
         headers: {
             'Content-Type': 'application/json',
+            'X-Request-ID': requestId,
             ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
-            ...options.headers,
+            ...headers,
         },
-        ...options,
     };
+    const info = { requestId, endpoint };
+    let refreshed = false;
+    let reachedServer = false;
 
     for (let attempt = 0; attempt < retries; attempt++) {
+        let retryAfter = null;
         try {
-            const response = await fetch(`${API_BASE}${endpoint}`, config);
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+            let response;
+            try {
+                response = await fetch(`${apiBase}${endpoint}`, { ...config, signal: controller.signal });
+            } catch (e) {
+                if (e.name === 'AbortError') {
+                    throw new TimeoutError(`Request timed out after ${timeout}ms`, info);
+                }
+                throw new NetworkError(`Network error: ${e.message}`, info);
+            } finally {
+                clearTimeout(timer);
+            }
 
             if (response.ok) {
-                return await response.json();
+                return response.status === 204 ? null : await response.json();
             }
 
-            // Don't retry auth errors
-            if (response.status === 401 || response.status === 403) {
-                throw new Error(`Auth error: ${response.status}`);
+            const detail = await readDetail(response);
+            const errorInfo = { ...info, status: response.status, detail };
+
+            // A rejected token gets one refresh-and-resend (not counted as an attempt)
+            if (response.status === 401 && token && !refreshed) {
+                refreshed = true;
+                const newToken = await refreshSession().catch(() => null);
+                if (newToken) {
+                    config.headers['Authorization'] = `Bearer ${newToken}`;
+                    attempt--;
+                    continue;
+                }
             }
 
-            // Retry on server errors
-            if (response.status >= 500 && attempt < retries - 1) {
-                await new Promise(r => setTimeout(r, 1000 * (attempt + 1)));
-                continue;
+            // Don't retry auth errors
+            if (response.status === 401 || response.status === 403) {
+                throw new AuthError(detail || `Auth error: ${response.status}`, errorInfo);
             }
 
-            throw new Error(`API error: ${response.status}`);
+            retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            throw new ApiError(detail || `API error: ${response.status}`, errorInfo);
         } catch (error) {
-            if (attempt === retries - 1) {
+            // A NetworkError never got the request out; these may have
+            if (error instanceof TimeoutError || (error instanceof ApiError && error.status >= 500)) {
+                reachedServer = true;
+            }
+            const last = attempt === retries - 1;
+            if (last || !isRetryable(error) || retryAfter > MAX_RETRY_DELAY_MS) {
+                console.log(`[API] ${endpoint} failed (${error.name}, request ${requestId}):`, error.message);
+                if (error instanceof ApiError) error.mayHaveReachedServer = reachedServer;
                 throw error;
             }
-            // Wait before retry with exponential backoff
-            await new Promise(r => setTimeout(r, 1000 * Math.pow(2, attempt)));
+            // Server-requested delay first, otherwise exponential backoff
+            await sleep(retryAfter ?? 1000 * Math.pow(2, attempt));
         }
     }
 }
 
+// ═══════════════════════════════════════════════════════════
+//  ENDPOINTS
+// ═══════════════════════════════════════════════════════════
+
 /**
- * Send tracking log to backend.
+ * Send tracking log to backend (after the privacy policy).
  */
 export async function sendTrackingLog(logData) {
     return apiRequest('/tracking/log', {
         method: 'POST',
-        body: JSON.stringify(logData),
+        body: JSON.stringify(await filterOutgoing(logData)),
     });
 }
 
@@ -80,11 +275,15 @@ export async function sendTrackingLog(logData) {
 
 /**
  * Send batch tracking logs (from offline buffer).
+ * Each log carries its idempotency_key; the backend skips keys it has
+ * already stored.
+ * @returns {Promise<{ingested: number, results?: Array<{idempotency_key: string, status: string, error?: string}>}>}
  */
 export async function sendBatchLogs(logs) {
+    const policy = await getPrivacyPolicy();
     const cleanedLogs = logs.map(log => {
-        const { queued_at, ...cleaned } = log;
-        return cleaned;
+        const { queued_at, attempted, ...cleaned } = log;
+        return applyPrivacyPolicy(cleaned, policy);
     });
 
     return apiRequest('/tracking/batch', {
@@ -100,6 +299,63 @@ export async function getBlockedSites(childId) {
     return apiRequest(`/parental/blocked-sites/${childId}`);
 }
 
+/**
+ * Get the current user's study plans.
+ */
+export async function getStudyPlans() {
+    return apiRequest('/ai/study-plans');
+}
+
+/**
+ * Get chapter progress for a study plan.
+ */
+export async function getStudyPlanProgress(planId) {
+    return apiRequest(`/ai/study-plan/${planId}/progress`);
+}
+
+/**
+ * The chapter the user last picked "Search on YouTube" for, if any.
+ * @returns {Promise<{pending: Object|null}>}
+ */
+export async function getPendingChapter() {
+    return apiRequest('/ai/pending-chapter');
+}
+
+/**
+ * Attach a video to a chapter.
+ * @param {Object} video { video_url, video_duration_seconds, video_id, video_title, creator_name }
+ */
+export async function setChapterVideo(planId, chapterIndex, video) {
+    return apiRequest(`/ai/study-plan/${planId}/chapter/${chapterIndex}/set-video`, {
+        method: 'POST',
+        body: JSON.stringify(video),
+    });
+}
+
+/**
+ * Semantic match of a video against the user's chapters.
+ * @param {Object} video { video_title, video_url, video_id, video_description, duration_seconds, channel_name }
+ * @returns {Promise<Object>} { matched, plan_id, chapter_index, chapter_title, similarity, match_type, reason }
+ */
+export async function matchVideo(video) {
+    return apiRequest('/ai/match-video', {
+        method: 'POST',
+        body: JSON.stringify(video),
+    });
+}
+
+/**
+ * Report watch progress for a matched chapter.
+ * Single attempt: the tracker sends again on its next tick anyway.
+ * @param {Object} progress { watched_seconds, video_ended, video_duration_seconds, ... }
+ */
+export async function updateChapterProgress(planId, chapterIndex, progress) {
+    return apiRequest(`/ai/study-plan/${planId}/chapter/${chapterIndex}/update-progress`, {
+        method: 'POST',
+        body: JSON.stringify(progress),
+    }, 1);
+}
+
 /**
  * Login and store token.
  */
@@ -107,20 +363,53 @@ export async function login(email, password) {
     const response = await apiRequest('/auth/login', {
         method: 'POST',
         body: JSON.stringify({ email, password }),
+        auth: false,
     });
     if (response.access_token) {
-        await chrome.storage.local.set({
-            auth_token: response.access_token,
-            user_data: response.user,
-        });
+        await storeSession(response);
     }
     return response;
 }
 
 /**
- * Check if user is authenticated.
+ * Check if user is authenticated (refreshing an expiring token on the way).
  */
 export async function isAuthenticated() {
-    const token = await getToken();
+    const token = await getAccessToken();
     return !!token;
 }
+
+// ═══════════════════════════════════════════════════════════
+//  CONTENT SCRIPT PROXY
+// ═══════════════════════════════════════════════════════════
+
+// What content scripts may call; they run inside third-party pages,
+// so nothing here should touch auth or tracking state.
+const PROXY_ENDPOINTS = {
+    getStudyPlans,
+    getStudyPlanProgress,
+    updateChapterProgress,
+};
+
+/**
+ * Run an API_REQUEST message from a content script.
+ * @param {{endpoint: string, args: Array}} request
+ * @returns {Promise<Object>} { ack, data } or { ack: false, error, error_type, status, request_id }
+ */
+export async function handleProxyRequest({ endpoint, args = [] } = {}) {
+    const fn = Object.hasOwn(PROXY_ENDPOINTS, endpoint) ? PROXY_ENDPOINTS[endpoint] : null;
+    if (!fn) {
+        return { ack: false, error: `Endpoint not available to content scripts: ${endpoint}`, error_type: 'ApiError', status: 0 };
+    }
+    try {
+        return { ack: true, data: await fn(...args) };
+    } catch (error) {
+        return {
+            ack: false,
+            error: error.message,
+            error_type: ERROR_TYPES[error.name] ? error.name : 'ApiError',
+            status: error.status || 0,
+            request_id: error.requestId || null,
+        };
+    }
+}
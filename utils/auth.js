@@ -0,0 +1,109 @@
+/**
+ * LifeOS – Auth Session
+ * Stored tokens, JWT expiry and the global "session expired" state.
+ *
+ * The access token (auth_token) is short-lived; the refresh token
+ * (refresh_token) is exchanged for a new one by refreshSession() in
+ * utils/api.js. When that is impossible the session is marked expired:
+ * the tokens are dropped, SESSION_EXPIRED_KEY is set and every context is
+ * told, so the side panel can ask for a re-login. The offline tracking
+ * queue is left alone and syncs once the user signs back in.
+ */
+
+const TOKEN_KEY = 'auth_token';
+const REFRESH_KEY = 'refresh_token';
+const USER_KEY = 'user_data';
+export const SESSION_EXPIRED_KEY = 'session_expired';
+
+// Refresh this long before `exp` so in-flight requests don't race the expiry
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Expiry of a JWT in epoch ms, or null when it has none / isn't a JWT.
+ */
+export function getTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const { exp } = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+        return typeof exp === 'number' ? exp * 1000 : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Does the token expire within `margin` ms? Tokens without `exp` never do.
+ */
+export function isTokenExpiring(token, margin = REFRESH_MARGIN_MS) {
+    const expiry = getTokenExpiry(token);
+    return expiry !== null && expiry - Date.now() <= margin;
+}
+
+export async function getTokens() {
+    const result = await chrome.storage.local.get([TOKEN_KEY, REFRESH_KEY]);
+    return {
+        accessToken: result[TOKEN_KEY] || null,
+        refreshToken: result[REFRESH_KEY] || null,
+    };
+}
+
+/**
+ * Store a login or refresh response and clear any expired state.
+ * A refresh response without a new refresh token keeps the old one.
+ * @param {{access_token: string, refresh_token?: string, user?: Object}} response
+ */
+export async function storeSession(response) {
+    const update = { [TOKEN_KEY]: response.access_token };
+    if (response.refresh_token) update[REFRESH_KEY] = response.refresh_token;
+    if (response.user) update[USER_KEY] = response.user;
+    await chrome.storage.local.set(update);
+
+    const { [SESSION_EXPIRED_KEY]: expired } = await chrome.storage.local.get(SESSION_EXPIRED_KEY);
+    if (expired) {
+        await chrome.storage.local.remove(SESSION_EXPIRED_KEY);
+        await broadcastSessionState(false);
+    }
+}
+
+/**
+ * Sign out on purpose. Keeps the offline queue.
+ */
+export async function clearSession() {
+    await chrome.storage.local.remove([TOKEN_KEY, REFRESH_KEY, USER_KEY, SESSION_EXPIRED_KEY]);
+}
+
+/**
+ * The session can't be renewed: drop the tokens and ask for a re-login.
+ * user_data stays so the sign-in form can be prefilled.
+ * @param {string} reason e.g. 'token_expired', 'refresh_rejected', 'unauthorized'
+ */
+export async function markSessionExpired(reason) {
+    const { [SESSION_EXPIRED_KEY]: already } = await chrome.storage.local.get(SESSION_EXPIRED_KEY);
+    await chrome.storage.local.remove([TOKEN_KEY, REFRESH_KEY]);
+    if (already) return;
+
+    await chrome.storage.local.set({ [SESSION_EXPIRED_KEY]: { at: Date.now(), reason } });
+    console.log(`[Auth] Session expired (${reason})`);
+    await broadcastSessionState(true);
+}
+
+export async function getSessionExpired() {
+    const result = await chrome.storage.local.get(SESSION_EXPIRED_KEY);
+    return result[SESSION_EXPIRED_KEY] || null;
+}
+
+/**
+ * Tell the side panel and every tab's content scripts.
+ * Contexts that aren't open simply miss it and read SESSION_EXPIRED_KEY later.
+ */
+async function broadcastSessionState(expired) {
+    const message = { type: 'SESSION_STATE', data: { expired } };
+    chrome.runtime.sendMessage(message).catch(() => { });
+
+    // Content scripts only exist in tabs, and tabs is unavailable outside extension pages
+    if (!chrome.tabs?.query) return;
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => { });
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * LifeOS – YouTube Channel Lists
+ * Trusted (allowed) and banned (blocked) channels. A listed channel
+ * overrides the keyword classification of its videos.
+ *
+ * Entries come from the side panel (source 'user') or from the account
+ * over the WebSocket (source 'server', e.g. a parent's rules). A server
+ * sync replaces only server entries, and the user can't remove those.
+ *
+ * content/youtubeTracker.js reads CHANNEL_LISTS_KEY from storage and
+ * mirrors normalizeChannel()/channelListFor() because content scripts
+ * cannot import modules — keep them in sync.
+ */
+
+const CHANNEL_LISTS_KEY = 'channel_lists';
+
+export const CHANNEL_LIST_NAMES = ['allowed', 'blocked'];
+
+/**
+ * Channels are matched on their display name, case- and space-insensitive.
+ * @param {string} raw e.g. "  Traversy Media" or "@traversymedia"
+ * @returns {string} normalized name, or '' if empty
+ */
+export function normalizeChannel(raw) {
+    return (raw || '').trim().replace(/^@/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Which list a channel is on. Blocked wins if it is somehow on both.
+ * @param {Object} lists { allowed: [{name, source}], blocked: [...] }
+ * @returns {'allowed'|'blocked'|null}
+ */
+export function channelListFor(lists, channelName) {
+    const name = normalizeChannel(channelName);
+    if (!name) return null;
+    if ((lists.blocked || []).some(entry => entry.name === name)) return 'blocked';
+    if ((lists.allowed || []).some(entry => entry.name === name)) return 'allowed';
+    return null;
+}
+
+export async function getChannelLists() {
+    const result = await chrome.storage.local.get(CHANNEL_LISTS_KEY);
+    const stored = result[CHANNEL_LISTS_KEY] || {};
+    return {
+        allowed: stored.allowed || [],
+        blocked: stored.blocked || [],
+    };
+}
+
+async function saveChannelLists(lists) {
+    await chrome.storage.local.set({ [CHANNEL_LISTS_KEY]: lists });
+}
+
+/**
+ * Put a channel on a list. A channel lives in exactly one list, so it is
+ * removed from the other. A user can't move a channel the server listed.
+ * @param {string} list allowed | blocked
+ * @param {string} rawName
+ * @param {'user'|'server'} [source]
+ * @returns {Promise<Object>} Updated lists
+ */
+export async function addChannel(list, rawName, source = 'user') {
+    if (!CHANNEL_LIST_NAMES.includes(list)) {
+        throw new Error(`Unknown channel list: ${list}`);
+    }
+    const name = normalizeChannel(rawName);
+    if (!name) {
+        throw new Error('Channel name is empty');
+    }
+
+    const lists = await getChannelLists();
+    if (source === 'user') assertNotManaged(lists, name);
+
+    for (const other of CHANNEL_LIST_NAMES) {
+        lists[other] = lists[other].filter(entry => entry.name !== name);
+    }
+    lists[list].push({ name, source });
+    lists[list].sort((a, b) => a.name.localeCompare(b.name));
+
+    await saveChannelLists(lists);
+    console.log(`[Channels] ${name} → ${list} (${source})`);
+    return lists;
+}
+
+/**
+ * Take a channel off both lists.
+ * @returns {Promise<Object>} Updated lists
+ */
+export async function removeChannel(rawName, source = 'user') {
+    const name = normalizeChannel(rawName);
+    const lists = await getChannelLists();
+    if (source === 'user') assertNotManaged(lists, name);
+
+    for (const list of CHANNEL_LIST_NAMES) {
+        lists[list] = lists[list].filter(entry => entry.name !== name);
+    }
+    await saveChannelLists(lists);
+    console.log(`[Channels] Removed ${name} (${source})`);
+    return lists;
+}
+
+/**
+ * Replace every server entry with a full snapshot from the backend.
+ * User entries for channels the snapshot doesn't mention are kept.
+ * @param {{allowed?: string[], blocked?: string[]}} snapshot
+ */
+export async function syncServerChannels(snapshot) {
+    const lists = await getChannelLists();
+    const serverNames = new Set();
+    const next = {};
+
+    for (const list of CHANNEL_LIST_NAMES) {
+        next[list] = (snapshot[list] || [])
+            .map(normalizeChannel)
+            .filter(Boolean)
+            .map(name => {
+                serverNames.add(name);
+                return { name, source: 'server' };
+            });
+    }
+    for (const list of CHANNEL_LIST_NAMES) {
+        const kept = lists[list].filter(entry => entry.source === 'user' && !serverNames.has(entry.name));
+        next[list] = [...next[list], ...kept].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    await saveChannelLists(next);
+    console.log(`[Channels] Synced ${serverNames.size} channels from server`);
+    return next;
+}
+
+function assertNotManaged(lists, name) {
+    const managed = CHANNEL_LIST_NAMES.some(list =>
+        lists[list].some(entry => entry.name === name && entry.source === 'server'));
+    if (managed) {
+        throw new Error(`"${name}" is set by your account — change it from the dashboard`);
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * LifeOS – Environment Config
+ * Backend, WebSocket and dashboard hosts per environment.
+ *
+ * The active environment (polaris_env) and any host overrides
+ * (polaris_env_overrides) are chosen in the side panel. Every fetch and
+ * WebSocket resolves its URL through here (content scripts go through the
+ * background's API_REQUEST proxy); content scripts cannot import modules,
+ * so the resolved config is also published to storage under CONFIG_KEY
+ * for the links they render.
+ */
+
+const ENV_KEY = 'polaris_env';
+const OVERRIDES_KEY = 'polaris_env_overrides';
+export const CONFIG_KEY = 'polaris_env_config';
+
+export const DEFAULT_ENV = 'production';
+
+export const ENVIRONMENTS = {
+    production: {
+        label: 'Production',
+        apiBase: 'https://polaris-api-wf4d.onrender.com/api',
+        wsUrl: 'wss://polaris-api-wf4d.onrender.com/ws',
+        // No public dashboard deployment yet — its URL is set in Settings;
+        // dashboard links stay hidden until then
+        dashboardUrl: '',
+    },
+    // No shared staging deployment yet — its hosts are set in Settings
+    staging: {
+        label: 'Staging',
+        apiBase: '',
+        wsUrl: '',
+        dashboardUrl: '',
+    },
+    local: {
+        label: 'Local',
+        apiBase: 'http://127.0.0.1:8000/api',
+        wsUrl: 'ws://127.0.0.1:8000/ws',
+        dashboardUrl: 'http://127.0.0.1:5173',
+    },
+};
+
+const URL_FIELDS = {
+    apiBase: { label: 'API URL', protocols: ['http:', 'https:'] },
+    wsUrl: { label: 'WebSocket URL', protocols: ['ws:', 'wss:'] },
+    dashboardUrl: { label: 'Dashboard URL', protocols: ['http:', 'https:'], optional: true },
+};
+
+async function getOverrides() {
+    const result = await chrome.storage.local.get(OVERRIDES_KEY);
+    return result[OVERRIDES_KEY] || {};
+}
+
+function resolve(name, overrides) {
+    const preset = ENVIRONMENTS[name];
+    const custom = overrides[name] || {};
+    return {
+        name,
+        label: preset.label,
+        apiBase: (custom.apiBase || preset.apiBase).replace(/\/+$/, ''),
+        wsUrl: (custom.wsUrl || preset.wsUrl).replace(/\/+$/, ''),
+        dashboardUrl: (custom.dashboardUrl || preset.dashboardUrl).replace(/\/+$/, ''),
+    };
+}
+
+/**
+ * The active environment with overrides applied.
+ * @returns {Promise<{name: string, label: string, apiBase: string, wsUrl: string, dashboardUrl: string}>}
+ */
+export async function getEnvironment() {
+    const result = await chrome.storage.local.get(ENV_KEY);
+    const name = ENVIRONMENTS[result[ENV_KEY]] ? result[ENV_KEY] : DEFAULT_ENV;
+    return resolve(name, await getOverrides());
+}
+
+export async function getApiBase() {
+    return (await getEnvironment()).apiBase;
+}
+
+export async function getWsUrl() {
+    return (await getEnvironment()).wsUrl;
+}
+
+export async function getDashboardUrl() {
+    return (await getEnvironment()).dashboardUrl;
+}
+
+/**
+ * Every environment, resolved, for the settings screen.
+ */
+export async function listEnvironments() {
+    const overrides = await getOverrides();
+    const current = await getEnvironment();
+    return {
+        current: current.name,
+        environments: Object.keys(ENVIRONMENTS).map(name => resolve(name, overrides)),
+    };
+}
+
+/**
+ * Switch environment and/or change its hosts.
+ * @param {string} name production | staging | local
+ * @param {Object} [hosts] { apiBase, wsUrl, dashboardUrl } overrides; '' restores the preset
+ * @returns {Promise<Object>} The resolved environment
+ */
+export async function setEnvironment(name, hosts = null) {
+    if (!ENVIRONMENTS[name]) {
+        throw new Error(`Unknown environment: ${name}`);
+    }
+
+    const overrides = await getOverrides();
+    if (hosts) {
+        const custom = {};
+        for (const [field, { label, protocols }] of Object.entries(URL_FIELDS)) {
+            const value = (hosts[field] || '').trim();
+            if (!value || value === ENVIRONMENTS[name][field]) continue;
+
+            let parsed;
+            try {
+                parsed = new URL(value);
+            } catch (e) {
+                throw new Error(`Invalid ${label}: ${value}`);
+            }
+            if (!protocols.includes(parsed.protocol)) {
+                throw new Error(`${label} must start with ${protocols.map(p => p + '//').join(' or ')}`);
+            }
+            custom[field] = value;
+        }
+        overrides[name] = custom;
+    }
+
+    const env = resolve(name, overrides);
+    const missing = Object.keys(URL_FIELDS).filter(field => !env[field] && !URL_FIELDS[field].optional);
+    if (missing.length > 0) {
+        throw new Error(`${env.label} needs its ${missing.map(f => URL_FIELDS[f].label).join(', ')} set in Settings first`);
+    }
+
+    await chrome.storage.local.set({ [ENV_KEY]: name, [OVERRIDES_KEY]: overrides });
+    await publishEnvironment();
+    console.log(`[Config] Environment: ${name} (${env.apiBase})`);
+    return env;
+}
+
+/**
+ * Write the resolved config for the popup and content scripts.
+ */
+export async function publishEnvironment() {
+    await chrome.storage.local.set({ [CONFIG_KEY]: await getEnvironment() });
+}
+
+/**
+ * Is this hostname the dashboard of the active environment?
+ */
+export async function isDashboardHost(hostname) {
+    try {
+        return new URL(await getDashboardUrl()).hostname === hostname;
+    } catch (e) {
+        return false;
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * LifeOS – Engagement State (Service Worker)
+ *
+ * Scroll: per-tab engagement fed by content/scrollTracker.js.
+ * Window metrics (max depth, average velocity) reset on every flush
+ * and on navigation. The high-velocity streak survives flushes so the
+ * doomscrolling signal can span a long session. It is broken by slow
+ * scrolling, navigation, or a gap with no fast report (the tracker skips
+ * reports while the page sits still, so silence means the user stopped).
+ *
+ * Attention: merges page visibility + media playback (from
+ * content/focusTracker.js and content/contentScript.js), window focus
+ * and chrome.idle state into a timeline of engaged / passive / hidden
+ * states for the active tab, which each flush window is split across.
+ */
+
+// Average px per throttled scroll sample (5 samples/sec) considered "fast"
+const DOOMSCROLL_VELOCITY = 300;
+// Below this the streak is broken (reading, not flicking)
+const CALM_VELOCITY = 120;
+// Fast scrolling must be sustained this long to count as doomscrolling
+const DOOMSCROLL_MIN_STREAK_MS = 10 * 60 * 1000;
+// No fast report for this long ends the streak (tracker reports every 30s)
+const DOOMSCROLL_STREAK_GAP_MS = 90 * 1000;
+
+let tabEngagement = {};
+
+function freshState() {
+    return {
+        maxDepth: 0,
+        velocitySum: 0,
+        velocitySamples: 0,
+        fastSince: null,
+        lastFastAt: null,
+    };
+}
+
+function stateFor(tabId) {
+    if (!tabEngagement[tabId]) {
+        tabEngagement[tabId] = freshState();
+    }
+    return tabEngagement[tabId];
+}
+
+/**
+ * Record a SCROLL_UPDATE report from a content script.
+ * @param {number} tabId
+ * @param {{scroll_depth: number, scroll_velocity: number}} data
+ */
+export function recordScroll(tabId, data) {
+    const state = stateFor(tabId);
+    const depth = Number(data.scroll_depth);
+    const velocity = Number(data.scroll_velocity);
+
+    if (!isNaN(depth)) {
+        state.maxDepth = Math.min(1, Math.max(state.maxDepth, depth));
+    }
+
+    if (!isNaN(velocity) && velocity >= 0) {
+        state.velocitySum += velocity;
+        state.velocitySamples++;
+
+        if (velocity >= DOOMSCROLL_VELOCITY) {
+            const now = Date.now();
+            if (!streakAlive(state, now)) state.fastSince = now;
+            state.lastFastAt = now;
+        } else if (velocity < CALM_VELOCITY) {
+            state.fastSince = null;
+            state.lastFastAt = null;
+        }
+    }
+}
+
+function streakAlive(state, now) {
+    return !!(state.fastSince && state.lastFastAt && now - state.lastFastAt <= DOOMSCROLL_STREAK_GAP_MS);
+}
+
+/**
+ * Current window metrics for a tab.
+ * @param {number} tabId
+ * @returns {{scroll_depth: number, scroll_velocity: number, is_doomscrolling: boolean}}
+ */
+export function getScrollEngagement(tabId) {
+    const state = tabEngagement[tabId];
+    if (!state) {
+        return { scroll_depth: 0, scroll_velocity: 0, is_doomscrolling: false };
+    }
+
+    return {
+        scroll_depth: Math.round(state.maxDepth * 100) / 100,
+        scroll_velocity: state.velocitySamples > 0
+            ? Math.round(state.velocitySum / state.velocitySamples)
+            : 0,
+        is_doomscrolling: isDoomscrolling(tabId),
+    };
+}
+
+/**
+ * True when the tab has been scrolled fast without a break for a long session.
+ * @param {number} tabId
+ */
+export function isDoomscrolling(tabId) {
+    const state = tabEngagement[tabId];
+    const now = Date.now();
+    return !!(state && streakAlive(state, now) && now - state.fastSince >= DOOMSCROLL_MIN_STREAK_MS);
+}
+
+/**
+ * Start a new flush window (keeps the fast-scroll streak).
+ */
+export function resetScrollWindow(tabId) {
+    const state = tabEngagement[tabId];
+    if (!state) return;
+    state.maxDepth = 0;
+    state.velocitySum = 0;
+    state.velocitySamples = 0;
+}
+
+/**
+ * Forget everything about a tab (navigation or tab closed).
+ */
+export function clearTabEngagement(tabId) {
+    delete tabEngagement[tabId];
+}
+
+/**
+ * Snapshot for session persistence (survives service worker sleep).
+ */
+export function exportEngagement() {
+    return tabEngagement;
+}
+
+export function restoreEngagement(snapshot) {
+    tabEngagement = snapshot || {};
+}
+
+
+// ═══════════════════════════════════════════════════════════
+//  ATTENTION (engaged / passive / hidden time)
+// ═══════════════════════════════════════════════════════════
+
+// Bound the timeline in case the worker never flushes (e.g. not logged in)
+const MAX_TRANSITIONS = 200;
+
+let attentionTabId = null;
+let windowFocused = true;
+let idleState = 'active';
+let tabSignals = {};   // tabId → { visible, focused, mediaPlaying }
+let transitions = [];  // [{ at, state }] for the active tab, oldest first
+
+/**
+ * Derive the attention state of the active tab from the current signals.
+ * - hidden:  tab not visible, or the screen is locked
+ * - engaged: visible and the user is present (focused window, not idle),
+ *            or media is playing (watching a video needs no input)
+ * - passive: visible but nobody is interacting with it
+ * @returns {'engaged'|'passive'|'hidden'}
+ */
+function currentAttentionState() {
+    if (attentionTabId === null || idleState === 'locked') return 'hidden';
+
+    // Before the content script reports, the active tab of a window is visible
+    const signals = tabSignals[attentionTabId] || {};
+    const visible = signals.visible !== false;
+    if (!visible) return 'hidden';
+
+    if (signals.mediaPlaying) return 'engaged';
+    if (windowFocused && idleState === 'active') return 'engaged';
+    return 'passive';
+}
+
+function recordTransition() {
+    const state = currentAttentionState();
+    const last = transitions[transitions.length - 1];
+    if (last && last.state === state) return;
+
+    transitions.push({ at: Date.now(), state });
+    if (transitions.length > MAX_TRANSITIONS) {
+        transitions.splice(0, transitions.length - MAX_TRANSITIONS);
+    }
+}
+
+/**
+ * Point the attention timeline at a new active tab (or null for none).
+ */
+export function setAttentionTab(tabId) {
+    attentionTabId = tabId;
+    recordTransition();
+}
+
+export function setWindowFocused(focused) {
+    windowFocused = !!focused;
+    recordTransition();
+}
+
+/**
+ * @param {'active'|'idle'|'locked'} state chrome.idle state
+ */
+export function setIdleState(state) {
+    idleState = state;
+    recordTransition();
+}
+
+/**
+ * Record a FOCUS_UPDATE report from a content script.
+ * Accepts both the focusTracker.js payload (is_visible, is_focused,
+ * is_media_playing) and the contentScript.js payload (visible).
+ * @param {number} tabId
+ * @param {Object} data
+ */
+export function recordFocus(tabId, data) {
+    const signals = tabSignals[tabId] || (tabSignals[tabId] = {});
+
+    const visible = data.is_visible !== undefined ? data.is_visible : data.visible;
+    if (visible !== undefined) signals.visible = !!visible;
+    if (data.is_focused !== undefined) signals.focused = !!data.is_focused;
+    if (data.is_media_playing !== undefined) signals.mediaPlaying = !!data.is_media_playing;
+
+    if (tabId === attentionTabId) recordTransition();
+}
+
+/**
+ * Split [start, end] into engaged / passive / hidden seconds and drop the
+ * timeline before `end`. The result is scaled to `durationSeconds` so the
+ * buckets always add up to the (possibly capped) logged duration.
+ * @param {number} start Window start (ms)
+ * @param {number} end Window end (ms)
+ * @param {number} durationSeconds Duration that will be logged
+ * @returns {{engaged_seconds: number, passive_seconds: number, hidden_seconds: number}}
+ */
+export function drainAttention(start, end, durationSeconds) {
+    if (transitions.length === 0 || transitions[0].at > start) {
+        transitions.unshift({ at: start, state: transitions[0]?.state || currentAttentionState() });
+    }
+
+    const ms = { engaged: 0, passive: 0, hidden: 0 };
+    for (let i = 0; i < transitions.length; i++) {
+        const segStart = Math.max(transitions[i].at, start);
+        const segEnd = Math.min(i + 1 < transitions.length ? transitions[i + 1].at : end, end);
+        if (segEnd > segStart) {
+            ms[transitions[i].state] += segEnd - segStart;
+        }
+    }
+
+    // Carry the current state into the next window
+    transitions = [{ at: end, state: transitions[transitions.length - 1].state }];
+
+    const totalMs = ms.engaged + ms.passive + ms.hidden;
+    if (totalMs <= 0) {
+        return { engaged_seconds: 0, passive_seconds: 0, hidden_seconds: durationSeconds };
+    }
+
+    const engaged = Math.round(durationSeconds * ms.engaged / totalMs);
+    const passive = Math.min(durationSeconds - engaged, Math.round(durationSeconds * ms.passive / totalMs));
+    return {
+        engaged_seconds: engaged,
+        passive_seconds: passive,
+        hidden_seconds: Math.max(0, durationSeconds - engaged - passive),
+    };
+}
+
+/**
+ * Forget a closed tab's attention signals.
+ */
+export function clearTabAttention(tabId) {
+    delete tabSignals[tabId];
+}
+
+export function exportAttention() {
+    return { attentionTabId, windowFocused, idleState, tabSignals, transitions };
+}
+
+export function restoreAttention(snapshot) {
+    if (!snapshot) return;
+    attentionTabId = snapshot.attentionTabId ?? null;
+    windowFocused = snapshot.windowFocused !== false;
+    idleState = snapshot.idleState || 'active';
+    tabSignals = snapshot.tabSignals || {};
+    transitions = snapshot.transitions || [];
+}
@@ -0,0 +1,202 @@
+/**
+ * LifeOS – Local History Store
+ * Keeps sanitized tracking sessions in IndexedDB so the extension stays
+ * useful when the backend is asleep or unreachable.
+ * Entries older than the retention window (history_retention_days) are pruned.
+ */
+
+import { getSetting } from './storage.js';
+
+const DB_NAME = 'polaris_history';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Consecutive sessions on the same domain closer than this merge into one block
+const TIMELINE_MERGE_GAP_MS = 90 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the history database once per worker lifetime.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('day', 'day');
+            store.createIndex('domain', 'domain');
+            store.createIndex('category', 'category');
+            store.createIndex('ended_at', 'ended_at');
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve with its result on commit.
+ */
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        let result;
+        Promise.resolve(fn(tx.objectStore(STORE))).then(r => { result = r; }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Local calendar day key, e.g. "2026-03-14".
+ * @param {Date|number|string} date
+ */
+export function dayKey(date = new Date()) {
+    const d = new Date(date);
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Store one finalized session.
+ * @param {Object} entry Sanitized log entry (see sanitizeTrackingData)
+ * @param {string} category productive | distracting | neutral
+ */
+export async function recordSession(entry, category = 'neutral') {
+    const endedAt = entry.timestamp ? new Date(entry.timestamp).getTime() : Date.now();
+    const startedAt = endedAt - (entry.duration_seconds || 0) * 1000;
+
+    await withStore('readwrite', store => {
+        store.add({
+            ...entry,
+            category,
+            day: dayKey(startedAt),
+            started_at: startedAt,
+            ended_at: endedAt,
+        });
+    });
+}
+
+/**
+ * All sessions for a day, oldest first.
+ * @param {string} day Day key from dayKey()
+ */
+export async function getSessionsByDay(day) {
+    const sessions = await withStore('readonly', store =>
+        requestToPromise(store.index('day').getAll(day))
+    );
+    return sessions.sort((a, b) => a.started_at - b.started_at);
+}
+
+/**
+ * Sessions for a domain, optionally limited to [fromDay, toDay].
+ */
+export async function getSessionsByDomain(domain, fromDay = null, toDay = null) {
+    const sessions = await withStore('readonly', store =>
+        requestToPromise(store.index('domain').getAll(domain))
+    );
+    return filterDays(sessions, fromDay, toDay);
+}
+
+/**
+ * Sessions for a category, optionally limited to [fromDay, toDay].
+ */
+export async function getSessionsByCategory(category, fromDay = null, toDay = null) {
+    const sessions = await withStore('readonly', store =>
+        requestToPromise(store.index('category').getAll(category))
+    );
+    return filterDays(sessions, fromDay, toDay);
+}
+
+function filterDays(sessions, fromDay, toDay) {
+    return sessions
+        .filter(s => (!fromDay || s.day >= fromDay) && (!toDay || s.day <= toDay))
+        .sort((a, b) => a.started_at - b.started_at);
+}
+
+/**
+ * Per-day timeline: consecutive sessions on the same domain are merged
+ * into blocks, plus totals per category.
+ * @param {string} day Day key from dayKey()
+ */
+export async function getDayTimeline(day) {
+    const sessions = await getSessionsByDay(day);
+    const blocks = [];
+    const totals = { productive: 0, distracting: 0, neutral: 0 };
+
+    for (const s of sessions) {
+        const seconds = s.duration_seconds || 0;
+        totals[s.category] = (totals[s.category] || 0) + seconds;
+
+        const last = blocks[blocks.length - 1];
+        if (last && last.domain === s.domain && last.category === s.category
+            && s.started_at - last.ended_at <= TIMELINE_MERGE_GAP_MS) {
+            last.ended_at = s.ended_at;
+            last.duration_seconds += seconds;
+            if (s.page_title && !last.titles.includes(s.page_title)) last.titles.push(s.page_title);
+        } else {
+            blocks.push({
+                domain: s.domain,
+                category: s.category,
+                started_at: s.started_at,
+                ended_at: s.ended_at,
+                duration_seconds: seconds,
+                titles: s.page_title ? [s.page_title] : [],
+            });
+        }
+    }
+
+    return { day, blocks, totals };
+}
+
+/**
+ * Delete sessions older than the retention window.
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function pruneHistory() {
+    const days = await getSetting('history_retention_days', DEFAULT_RETENTION_DAYS);
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+
+    const deleted = await withStore('readwrite', store => new Promise((resolve, reject) => {
+        let count = 0;
+        const request = store.index('ended_at').openCursor(IDBKeyRange.upperBound(cutoff, true));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+                resolve(count);
+                return;
+            }
+            cursor.delete();
+            count++;
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    }));
+
+    if (deleted > 0) {
+        console.log(`[History] Pruned ${deleted} sessions older than ${days} days`);
+    }
+    return deleted;
+}
@@ -1,9 +1,39 @@
 /**
  * LifeOS – Privacy Filter (Extension Side)
- * Strips URLs to hostname only before sending to backend.
- * NEVER sends: full URLs, query params, paths, search queries, video titles.
+ * Tracking logs and live activity carry the hostname only, never full
+ * URLs, query params, paths or search queries.
+ *
+ * Page and video titles leave the browser only at the 'full' privacy level,
+ * and never for domains on the redaction list. allowsContent() is the one
+ * place this is decided: tracking logs (sendTrackingLog/sendBatchLogs in
+ * utils/api.js) and the live WebSocket relay go through applyPrivacyPolicy()
+ * at send time, so a stricter setting also covers logs queued before the
+ * change. Study-plan video matching sends the video's URL, title,
+ * description, tags and channel, so the background only runs it when
+ * allowsContent() says so.
+ * Local history (utils/history.js) keeps titles; it never leaves the browser.
  */
 
+import { getSetting } from './storage.js';
+import { normalizePattern, matchesPattern } from './siteLists.js';
+
+const LEVEL_KEY = 'privacy_level';
+const REDACTION_KEY = 'privacy_redacted_domains';
+
+// domain: where and how long · category: + productive/distracting · full: + titles
+export const PRIVACY_LEVELS = ['domain', 'category', 'full'];
+export const DEFAULT_PRIVACY_LEVEL = 'full';
+
+// Site-list pattern syntax (see utils/siteLists.js)
+export const DEFAULT_REDACTED_DOMAINS = [
+  '*bank*', '*health*', '*clinic*', '*hospital*', '*pharma*', '*insurance*',
+  'paypal.com', 'mychart.com',
+];
+
+// Fields that say what was on the page rather than where the user was
+const TITLE_FIELDS = ['page_title'];
+const CATEGORY_FIELDS = ['category', 'yt_classification'];
+
 const HOSTNAME_REGEX = /^[a-zA-Z0-9][a-zA-Z0-9\-\.]*\.[a-zA-Z]{2,}$/;
 
 /**
@@ -53,8 +83,13 @@ export function sanitizeTrackingData(data) {
   const allowedFields = [
     'domain',
     'duration_seconds', 
+    'engaged_seconds',
+    'passive_seconds',
+    'hidden_seconds',
     'tab_switches', 
     'scroll_depth',
+    'scroll_velocity',
+    'is_doomscrolling',
     'is_active', 
     'timestamp', 
     'page_title',
@@ -74,6 +109,17 @@ export function sanitizeTrackingData(data) {
   }
   cleaned.duration_seconds = Math.max(0, Math.floor(cleaned.duration_seconds));
 
+  // Engagement split: duration_seconds stays as the total for older backends,
+  // engaged + passive + hidden always add up to it.
+  for (const field of ['engaged_seconds', 'passive_seconds', 'hidden_seconds']) {
+    if (cleaned[field] === undefined) continue;
+    cleaned[field] = Number(cleaned[field]);
+    if (isNaN(cleaned[field])) {
+      cleaned[field] = 0;
+    }
+    cleaned[field] = Math.max(0, Math.floor(cleaned[field]));
+  }
+
   cleaned.tab_switches = Number(cleaned.tab_switches);
   if (isNaN(cleaned.tab_switches)) {
     cleaned.tab_switches = 0;
@@ -86,6 +132,14 @@ export function sanitizeTrackingData(data) {
   }
   cleaned.scroll_depth = Math.min(1.0, Math.max(0.0, cleaned.scroll_depth));
 
+  cleaned.scroll_velocity = Number(cleaned.scroll_velocity);
+  if (isNaN(cleaned.scroll_velocity)) {
+    cleaned.scroll_velocity = 0;
+  }
+  cleaned.scroll_velocity = Math.max(0, Math.round(cleaned.scroll_velocity));
+
+  cleaned.is_doomscrolling = Boolean(cleaned.is_doomscrolling);
+
   // Ensure is_active is boolean
   if (cleaned.is_active !== undefined) {
     cleaned.is_active = Boolean(cleaned.is_active);
@@ -106,3 +160,86 @@ export function sanitizeTrackingData(data) {
 
   return cleaned;
 }
+
+/**
+ * The user's privacy settings.
+ * @returns {Promise<{level: string, redacted_domains: string[]}>}
+ */
+export async function getPrivacyPolicy() {
+  const level = await getSetting(LEVEL_KEY, DEFAULT_PRIVACY_LEVEL);
+  return {
+    level: PRIVACY_LEVELS.includes(level) ? level : DEFAULT_PRIVACY_LEVEL,
+    redacted_domains: await getSetting(REDACTION_KEY, DEFAULT_REDACTED_DOMAINS),
+  };
+}
+
+/**
+ * Whether what was on a page (titles, video metadata) may leave the browser.
+ * @param {{level: string, redacted_domains: string[]}} policy
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function allowsContent(policy, domain) {
+  const host = (domain || '').toLowerCase();
+  return policy.level === 'full' &&
+    !policy.redacted_domains.some(pattern => matchesPattern(host, pattern));
+}
+
+/**
+ * Drop whatever the policy doesn't allow out of an outgoing record
+ * (a tracking log or a live activity payload). Never mutates `data`.
+ * @param {Object} data Must carry `domain`
+ * @param {{level: string, redacted_domains: string[]}} policy
+ * @returns {Object}
+ */
+export function applyPrivacyPolicy(data, policy) {
+  const filtered = { ...data };
+
+  if (!allowsContent(policy, data.domain)) {
+    for (const field of TITLE_FIELDS) delete filtered[field];
+  }
+  if (policy.level === 'domain') {
+    for (const field of CATEGORY_FIELDS) delete filtered[field];
+  }
+  return filtered;
+}
+
+/**
+ * applyPrivacyPolicy() with the stored policy.
+ */
+export async function filterOutgoing(data) {
+  return applyPrivacyPolicy(data, await getPrivacyPolicy());
+}
+
+export async function setPrivacyLevel(level) {
+  if (!PRIVACY_LEVELS.includes(level)) {
+    throw new Error(`Unknown privacy level: ${level}`);
+  }
+  await chrome.storage.local.set({ [LEVEL_KEY]: level });
+  console.log(`[Privacy] Level: ${level}`);
+  return getPrivacyPolicy();
+}
+
+/**
+ * Never send titles from domains matching this pattern.
+ * @returns {Promise<Object>} Updated policy
+ */
+export async function addRedactedDomain(rawPattern) {
+  const pattern = normalizePattern(rawPattern);
+  if (!pattern) {
+    throw new Error(`Invalid site pattern: ${rawPattern}`);
+  }
+  const { redacted_domains } = await getPrivacyPolicy();
+  if (!redacted_domains.includes(pattern)) {
+    await chrome.storage.local.set({ [REDACTION_KEY]: [...redacted_domains, pattern].sort() });
+    console.log(`[Privacy] Redacting titles for ${pattern}`);
+  }
+  return getPrivacyPolicy();
+}
+
+export async function removeRedactedDomain(pattern) {
+  const { redacted_domains } = await getPrivacyPolicy();
+  await chrome.storage.local.set({ [REDACTION_KEY]: redacted_domains.filter(p => p !== pattern) });
+  console.log(`[Privacy] No longer redacting ${pattern}`);
+  return getPrivacyPolicy();
+}
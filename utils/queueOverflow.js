@@ -0,0 +1,125 @@
+/**
+ * LifeOS – Offline Queue Overflow
+ * IndexedDB spill-over for the tracking queue in utils/storage.js.
+ * chrome.storage.local holds the newest entries; the oldest are moved here
+ * once it is full, so a long offline stretch is kept instead of trimmed.
+ * Entries keep their queue order (auto-increment key).
+ */
+
+const DB_NAME = 'polaris_queue';
+const DB_VERSION = 1;
+const STORE = 'overflow';
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade) the overflow database once per worker lifetime.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+            store.createIndex('idempotency_key', 'idempotency_key', { unique: true });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve with its result on commit.
+ */
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        let result;
+        Promise.resolve(fn(tx.objectStore(STORE))).then(r => { result = r; }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const stripSeq = ({ seq, ...entry }) => entry;
+
+/**
+ * Append entries (oldest first) after everything already stored.
+ */
+export async function appendOverflow(entries) {
+    if (entries.length === 0) return;
+    await withStore('readwrite', store => {
+        for (const entry of entries) store.put(entry);
+    });
+}
+
+export async function countOverflow() {
+    return withStore('readonly', store => requestToPromise(store.count()));
+}
+
+/**
+ * The oldest `limit` entries.
+ */
+export async function peekOverflow(limit) {
+    const entries = await withStore('readonly', store => requestToPromise(store.getAll(null, limit)));
+    return entries.map(stripSeq);
+}
+
+/**
+ * Flag entries the backend may already hold (see coalescing in utils/storage.js).
+ */
+export async function markOverflowAttempted(keys) {
+    if (keys.length === 0) return;
+    await withStore('readwrite', async store => {
+        const index = store.index('idempotency_key');
+        for (const key of keys) {
+            const entry = await requestToPromise(index.get(key));
+            if (entry && !entry.attempted) store.put({ ...entry, attempted: true });
+        }
+    });
+}
+
+/**
+ * Remove entries by idempotency_key.
+ */
+export async function removeOverflow(keys) {
+    if (keys.length === 0) return;
+    await withStore('readwrite', async store => {
+        const index = store.index('idempotency_key');
+        for (const key of keys) {
+            const seq = await requestToPromise(index.getKey(key));
+            if (seq !== undefined) store.delete(seq);
+        }
+    });
+}
+
+/**
+ * Drop the oldest `count` entries. Only for when the overflow is full.
+ * @returns {Promise<number>} Entries dropped
+ */
+export async function discardOldestOverflow(count) {
+    return withStore('readwrite', async store => {
+        const seqs = await requestToPromise(store.getAllKeys(null, count));
+        for (const seq of seqs) store.delete(seq);
+        return seqs.length;
+    });
+}
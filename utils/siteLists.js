@@ -0,0 +1,169 @@
+/**
+ * LifeOS – Site Lists (Settings Model)
+ * User-managed distracting / productive / neutral domain lists.
+ *
+ * Pattern syntax:
+ * - "reddit.com"      → reddit.com and every subdomain (old.reddit.com)
+ * - "*.google.com"    → subdomains only, not google.com itself
+ * - "docs.*"          → '*' matches any run of characters
+ * The most specific matching pattern wins, so "scholar.google.com" in
+ * productive overrides "google.com" in distracting.
+ *
+ * content/blockOverlay.js mirrors matchesPattern()/classifyWithLists()
+ * because content scripts cannot import modules — keep them in sync.
+ */
+
+const SITE_LISTS_KEY = 'site_lists';
+
+export const SITE_CATEGORIES = ['distracting', 'productive', 'neutral'];
+
+export const DEFAULT_SITE_LISTS = {
+    distracting: [
+        'youtube.com', 'reddit.com', 'twitter.com', 'x.com', 'instagram.com',
+        'facebook.com', 'tiktok.com', 'twitch.tv', '9gag.com', 'buzzfeed.com',
+        'netflix.com', 'primevideo.com', 'hotstar.com'
+    ],
+    productive: [],
+    neutral: [],
+};
+
+// When two lists match with equal specificity, the safer category wins
+const CATEGORY_PRECEDENCE = { productive: 3, neutral: 2, distracting: 1 };
+
+/**
+ * Normalize user input into a pattern: lowercase host, no scheme/path/www.
+ * @param {string} raw e.g. "https://www.Reddit.com/r/all"
+ * @returns {string} pattern, or '' if invalid
+ */
+export function normalizePattern(raw) {
+    let pattern = (raw || '').trim().toLowerCase();
+    pattern = pattern.replace(/^[a-z]+:\/\//, '');
+    pattern = pattern.split(/[/?#]/)[0];
+    pattern = pattern.replace(/^www\./, '').replace(/\.$/, '');
+
+    if (!/^[a-z0-9*][a-z0-9*.\-]*$/.test(pattern) || !pattern.replace(/\*/g, '')) {
+        return '';
+    }
+    return pattern;
+}
+
+/**
+ * Does a (normalized) domain match a pattern?
+ */
+export function matchesPattern(domain, pattern) {
+    if (!domain || !pattern) return false;
+
+    if (!pattern.includes('*')) {
+        return domain === pattern || domain.endsWith('.' + pattern);
+    }
+
+    const regex = new RegExp('^' + pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+        .join('.*') + '$');
+    return regex.test(domain);
+}
+
+/**
+ * Classify a domain against explicit lists.
+ * @param {Object} lists { distracting: [], productive: [], neutral: [] }
+ * @param {string} domain
+ * @returns {{category: string, pattern: string|null}}
+ */
+export function classifyWithLists(lists, domain) {
+    const host = (domain || '').toLowerCase().replace(/^www\./, '');
+    let best = { category: 'neutral', pattern: null, score: -1 };
+
+    for (const category of SITE_CATEGORIES) {
+        for (const pattern of lists[category] || []) {
+            if (!matchesPattern(host, pattern)) continue;
+            const score = pattern.replace(/\*/g, '').length * 10 + CATEGORY_PRECEDENCE[category];
+            if (score > best.score) {
+                best = { category, pattern, score };
+            }
+        }
+    }
+
+    return { category: best.category, pattern: best.pattern };
+}
+
+/**
+ * Get the current lists (defaults on first run).
+ */
+export async function getSiteLists() {
+    const result = await chrome.storage.local.get(SITE_LISTS_KEY);
+    const stored = result[SITE_LISTS_KEY];
+    if (!stored) {
+        return structuredClone(DEFAULT_SITE_LISTS);
+    }
+    return {
+        distracting: stored.distracting || [],
+        productive: stored.productive || [],
+        neutral: stored.neutral || [],
+    };
+}
+
+/**
+ * Persist the defaults on first run so content scripts, which read
+ * storage directly, see the same lists as the service worker.
+ */
+export async function ensureSiteLists() {
+    const result = await chrome.storage.local.get(SITE_LISTS_KEY);
+    if (!result[SITE_LISTS_KEY]) {
+        await saveSiteLists(structuredClone(DEFAULT_SITE_LISTS));
+    }
+}
+
+async function saveSiteLists(lists) {
+    await chrome.storage.local.set({ [SITE_LISTS_KEY]: lists });
+}
+
+/**
+ * Classify a domain using the stored lists.
+ * @param {string} domain
+ * @returns {Promise<'distracting'|'productive'|'neutral'>}
+ */
+export async function classifyDomain(domain) {
+    const lists = await getSiteLists();
+    return classifyWithLists(lists, domain).category;
+}
+
+/**
+ * Add a pattern to a list. A pattern lives in exactly one list, so it is
+ * removed from the others.
+ * @param {string} category distracting | productive | neutral
+ * @param {string} rawPattern
+ * @returns {Promise<Object>} Updated lists
+ */
+export async function addSitePattern(category, rawPattern) {
+    if (!SITE_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown site category: ${category}`);
+    }
+    const pattern = normalizePattern(rawPattern);
+    if (!pattern) {
+        throw new Error(`Invalid site pattern: ${rawPattern}`);
+    }
+
+    const lists = await getSiteLists();
+    for (const cat of SITE_CATEGORIES) {
+        lists[cat] = lists[cat].filter(p => p !== pattern);
+    }
+    lists[category].push(pattern);
+    lists[category].sort();
+
+    await saveSiteLists(lists);
+    console.log(`[Sites] ${pattern} → ${category}`);
+    return lists;
+}
+
+/**
+ * Remove a pattern from a list.
+ * @returns {Promise<Object>} Updated lists
+ */
+export async function removeSitePattern(category, pattern) {
+    const lists = await getSiteLists();
+    lists[category] = (lists[category] || []).filter(p => p !== pattern);
+    await saveSiteLists(lists);
+    console.log(`[Sites] Removed ${pattern} from ${category}`);
+    return lists;
+}
@@ -5,63 +5,289 @@
  * Retries on each heartbeat. Clears only after 200 OK.
  * Handles: internet drop, backend downtime, browser restart.
  * NO DATA LOSS.
+ *
+ * Every entry carries an idempotency_key, so a batch that is resent after
+ * a timeout (the backend may have stored it anyway) is not counted twice.
+ * Entries leave the queue only once the backend has acknowledged them.
+ *
+ * A long offline stretch is absorbed in three steps instead of trimming:
+ *   1. past COALESCE_AT entries, adjacent entries for the same
+ *      domain/title/classification merge into one aggregated record;
+ *   2. past MAX_QUEUE_SIZE, the oldest move to IndexedDB (utils/queueOverflow.js);
+ *   3. only a full overflow drops anything, and QUEUE_WARNING_KEY tells
+ *      the side panel well before that happens.
  */
 
+import {
+    appendOverflow, countOverflow, peekOverflow, markOverflowAttempted, removeOverflow,
+    discardOldestOverflow,
+} from './queueOverflow.js';
+
 const QUEUE_KEY = 'tracking_queue';
 const MAX_QUEUE_SIZE = 500; // Prevent storage overflow
+const COALESCE_AT = 100;
+// Entries further apart than this are separate visits, not one long one
+const COALESCE_GAP_MS = 2 * 60 * 1000;
+// Moved to IndexedDB in one go, so it doesn't happen on every enqueue
+const SPILL_BATCH = 250;
+// ~17 days of continuous browsing at one entry per 30s
+const MAX_OVERFLOW_SIZE = 50000;
+const WARN_RATIO = 0.8;
+export const QUEUE_WARNING_KEY = 'queue_warning';
+
+// Queue read-modify-writes from enqueue and sync must not interleave
+let queueLock = Promise.resolve();
+
+function withQueueLock(fn) {
+    const run = queueLock.then(fn);
+    queueLock = run.catch(() => { });
+    return run;
+}
+
+async function readQueue() {
+    const result = await chrome.storage.local.get(QUEUE_KEY);
+    return result[QUEUE_KEY] || [];
+}
+
+async function writeQueue(queue) {
+    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+}
 
 /**
- * Add a tracking entry to the offline queue.
+ * A new idempotency key for a tracking entry.
  */
-export async function enqueue(logEntry) {
-    const result = await chrome.storage.local.get(QUEUE_KEY);
-    const queue = result[QUEUE_KEY] || [];
+export function newIdempotencyKey() {
+    return crypto.randomUUID();
+}
 
-    queue.push({
-        ...logEntry,
-        queued_at: new Date().toISOString(),
+function entryEnd(entry) {
+    return new Date(entry.timestamp || entry.queued_at).getTime();
+}
+
+// idempotency_keys of the chunk being synced right now (see nextSyncChunk)
+const inFlight = new Set();
+
+/**
+ * Can `b` (the later entry) be folded into `a`? Entries the backend may
+ * already hold under their key can't: those flagged attempted and those
+ * in a sync that hasn't settled yet.
+ */
+function canCoalesce(a, b) {
+    if (a.attempted || b.attempted || inFlight.has(a.idempotency_key) || inFlight.has(b.idempotency_key)) {
+        return false;
+    }
+    if (a.domain !== b.domain
+        || (a.page_title || null) !== (b.page_title || null)
+        || (a.yt_classification || null) !== (b.yt_classification || null)) {
+        return false;
+    }
+    const bStart = entryEnd(b) - (b.duration_seconds || 0) * 1000;
+    return bStart - entryEnd(a) <= COALESCE_GAP_MS;
+}
+
+function coalescePair(a, b) {
+    const duration = (a.duration_seconds || 0) + (b.duration_seconds || 0);
+    const weighted = field => duration > 0
+        ? ((a[field] || 0) * (a.duration_seconds || 0) + (b[field] || 0) * (b.duration_seconds || 0)) / duration
+        : 0;
+    return {
+        ...a,
+        duration_seconds: duration,
+        engaged_seconds: (a.engaged_seconds || 0) + (b.engaged_seconds || 0),
+        passive_seconds: (a.passive_seconds || 0) + (b.passive_seconds || 0),
+        hidden_seconds: (a.hidden_seconds || 0) + (b.hidden_seconds || 0),
+        tab_switches: (a.tab_switches || 0) + (b.tab_switches || 0),
+        scroll_depth: Math.max(a.scroll_depth || 0, b.scroll_depth || 0),
+        scroll_velocity: weighted('scroll_velocity'),
+        is_doomscrolling: !!(a.is_doomscrolling || b.is_doomscrolling),
+        is_active: !!(a.is_active || b.is_active),
+        timestamp: b.timestamp,
+        merged_entries: (a.merged_entries || 1) + (b.merged_entries || 1),
+    };
+}
+
+/**
+ * Merge runs of adjacent, compatible entries.
+ */
+function coalesce(queue) {
+    const merged = [];
+    for (const entry of queue) {
+        const last = merged[merged.length - 1];
+        if (last && canCoalesce(last, entry)) {
+            merged[merged.length - 1] = coalescePair(last, entry);
+        } else {
+            merged.push(entry);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Keep QUEUE_WARNING_KEY in step with how full the overflow is.
+ */
+async function updateQueueWarning(overflowSize, discarded = 0) {
+    const { [QUEUE_WARNING_KEY]: current } = await chrome.storage.local.get(QUEUE_WARNING_KEY);
+    const filling = overflowSize >= MAX_OVERFLOW_SIZE * WARN_RATIO;
+
+    if (!filling && discarded === 0) {
+        // A discard stays reported until the backlog it happened in has synced
+        if (current && (current.level !== 'discarding' || overflowSize === 0)) {
+            await chrome.storage.local.remove(QUEUE_WARNING_KEY);
+        }
+        return;
+    }
+    await chrome.storage.local.set({
+        [QUEUE_WARNING_KEY]: {
+            level: discarded > 0 || current?.level === 'discarding' ? 'discarding' : 'filling',
+            overflow: overflowSize,
+            capacity: MAX_OVERFLOW_SIZE,
+            discarded: (current?.discarded || 0) + discarded,
+            at: Date.now(),
+        },
     });
+}
+
+/**
+ * Move the oldest entries into IndexedDB once the storage queue is full.
+ */
+async function spillOverflow(queue) {
+    if (queue.length <= MAX_QUEUE_SIZE) return queue;
+
+    const spilled = queue.slice(0, SPILL_BATCH);
+    await appendOverflow(spilled);
+    console.log(`[Queue] Moved ${spilled.length} oldest entries to IndexedDB`);
 
-    // Trim oldest if queue too large
-    if (queue.length > MAX_QUEUE_SIZE) {
-        queue.splice(0, queue.length - MAX_QUEUE_SIZE);
+    let overflowSize = await countOverflow();
+    let discarded = 0;
+    if (overflowSize > MAX_OVERFLOW_SIZE) {
+        discarded = await discardOldestOverflow(overflowSize - MAX_OVERFLOW_SIZE);
+        overflowSize -= discarded;
+        console.log(`[Queue] Overflow full, discarded ${discarded} oldest entries`);
     }
+    await updateQueueWarning(overflowSize, discarded);
+    return queue.slice(SPILL_BATCH);
+}
 
-    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+/**
+ * Add a tracking entry to the offline queue. An entry that was already
+ * sent once keeps its idempotency_key.
+ * @param {Object} logEntry
+ * @param {Object} [options]
+ * @param {boolean} [options.attempted=false] A live send of the entry may
+ *   have reached the backend (timeout or 5xx), so it must not be coalesced
+ */
+export async function enqueue(logEntry, { attempted = false } = {}) {
+    await withQueueLock(async () => {
+        let queue = await readQueue();
+
+        queue.push({
+            ...logEntry,
+            idempotency_key: logEntry.idempotency_key || newIdempotencyKey(),
+            queued_at: new Date().toISOString(),
+            ...(attempted ? { attempted: true } : {}),
+        });
+
+        if (queue.length >= COALESCE_AT) {
+            queue = coalesce(queue);
+        }
+        queue = await spillOverflow(queue);
+
+        await writeQueue(queue);
+    });
 }
 
 /**
- * Get all queued entries.
+ * Get all entries in the storage queue (not the IndexedDB overflow).
+ * Entries queued before idempotency keys existed get one here, stored so
+ * every resend uses the same key.
  */
 export async function getQueue() {
-    const result = await chrome.storage.local.get(QUEUE_KEY);
-    return result[QUEUE_KEY] || [];
+    return withQueueLock(async () => {
+        const queue = await readQueue();
+
+        if (queue.some(entry => !entry.idempotency_key)) {
+            for (const entry of queue) {
+                entry.idempotency_key = entry.idempotency_key || newIdempotencyKey();
+            }
+            await writeQueue(queue);
+        }
+        return queue;
+    });
+}
+
+/**
+ * The next entries to sync, oldest first (the IndexedDB overflow before
+ * the storage queue). They aren't coalesced until settleSyncChunk().
+ * @param {number} limit
+ * @returns {Promise<Object[]>}
+ */
+export async function nextSyncChunk(limit) {
+    const overflow = await peekOverflow(limit);
+    if (overflow.length > 0) {
+        for (const entry of overflow) inFlight.add(entry.idempotency_key);
+        return overflow;
+    }
+
+    await getQueue(); // backfills missing keys
+    return withQueueLock(async () => {
+        const chunk = (await readQueue()).slice(0, limit);
+        for (const entry of chunk) inFlight.add(entry.idempotency_key);
+        return chunk;
+    });
+}
+
+/**
+ * Finish a sync attempt. Entries the backend may have stored without
+ * acknowledging them (a timeout, a 5xx, a partial batch) are flagged
+ * attempted so they are never coalesced; after a NetworkError the request
+ * never left, and the entries can still merge.
+ * @param {Object[]} chunk From nextSyncChunk()
+ * @param {string[]} attemptedKeys
+ */
+export async function settleSyncChunk(chunk, attemptedKeys) {
+    if (attemptedKeys.length > 0) {
+        const attempted = new Set(attemptedKeys);
+        await withQueueLock(async () => {
+            const queue = await readQueue();
+            const marked = queue.filter(entry => attempted.has(entry.idempotency_key) && !entry.attempted);
+            for (const entry of marked) entry.attempted = true;
+            if (marked.length > 0) await writeQueue(queue);
+        });
+        await markOverflowAttempted(attemptedKeys);
+    }
+    for (const entry of chunk) inFlight.delete(entry.idempotency_key);
 }
 
 /**
  * Clear the offline queue (only after successful sync).
  */
 export async function clearQueue() {
-    await chrome.storage.local.set({ [QUEUE_KEY]: [] });
+    await withQueueLock(() => writeQueue([]));
 }
 
 /**
- * Remove successfully synced entries from queue.
- * @param {number} count Number of entries successfully synced
+ * Remove acknowledged entries from the queue and its overflow. Reads the
+ * queue afresh, so entries enqueued while a sync was in flight are kept.
+ * @param {string[]} keys idempotency_keys the backend acknowledged
  */
-export async function dequeue(count) {
-    const result = await chrome.storage.local.get(QUEUE_KEY);
-    const queue = result[QUEUE_KEY] || [];
-    queue.splice(0, count);
-    await chrome.storage.local.set({ [QUEUE_KEY]: queue });
+export async function dequeue(keys) {
+    if (keys.length === 0) return;
+    const acknowledged = new Set(keys);
+
+    await withQueueLock(async () => {
+        const queue = (await readQueue()).filter(entry => !acknowledged.has(entry.idempotency_key));
+        await writeQueue(queue);
+    });
+    await removeOverflow(keys);
+    await updateQueueWarning(await countOverflow());
 }
 
 /**
- * Get queue size.
+ * Get queue size, overflow included.
  */
 export async function getQueueSize() {
-    const queue = await getQueue();
-    return queue.length;
+    const queue = await readQueue();
+    return queue.length + await countOverflow().catch(() => 0);
 }
 
 /**
@@ -1,73 +1,346 @@
 /**
  * LifeOS – WebSocket Client (Extension)
  * Maintains persistent WS connection to backend.
- * Handles: blocking rule sync, reconnection, heartbeat.
+ * Handles: auth handshake, blocking rule sync, reconnection, heartbeat.
+ *
+ * Connection manager: a dropped socket is retried forever with capped,
+ * jittered backoff, paused while the browser is offline and retried at
+ * once when it comes back. A socket whose heartbeats go unanswered
+ * (half-open: the network died without a close) is closed and replaced.
+ * getConnectionState() reports where it stands for the side panel.
+ *
+ * Every frame, both ways, is an envelope:
+ *   { id, type, version, timestamp, data }
+ * Server events also carry `seq`, numbered per connection; a gap means a
+ * missed event and triggers a full `sync_blocked`. Block commands
+ * (ACKED_TYPES) are answered with { type: 'ack', data: { id, ok, error } }
+ * once applied. Outbound frames wait in an outbox until the server acks
+ * them, and are resent after a reconnect.
+ *
+ * The token never goes in the URL (it would end up in proxy and server
+ * access logs). The socket opens unauthenticated and its first frame is
+ *   { type: 'auth', data: { token } }
+ * The server answers { type: 'auth_ok' } or { type: 'auth_error', data: { reason } }
+ * and closes a rejected socket with AUTH_REJECTED_CODE. A rejected token is
+ * never retried: the session is refreshed once and the new token connects.
  */
 
-const WS_URL = 'wss://polaris-api-wf4d.onrender.com/ws';
+import { getWsUrl } from './config.js';
+import { getAccessToken, refreshSession } from './api.js';
 
 let ws = null;
+let messageHandler = null;
+
+// disconnected | connecting | authenticating | connected | reconnecting | offline | auth_rejected
+let state = 'disconnected';
+let lastError = null;
+let connectedAt = null;
+
 let reconnectAttempts = 0;
-const MAX_RECONNECT_ATTEMPTS = 10;
+let reconnectTimer = null;
+let nextRetryAt = null;
 const RECONNECT_BASE_DELAY = 2000;
+const RECONNECT_MAX_DELAY = 60000;
+
+// Heartbeats go out on the ws_heartbeat alarm (30s); this many without a
+// heartbeat_ack means the socket is dead even though it looks open
+const MAX_MISSED_HEARTBEATS = 2;
+const HEARTBEAT_TIMEOUT_CODE = 4002;
+let missedHeartbeats = 0;
+
+// Server close code for a rejected auth frame (1008 = policy violation, same meaning)
+export const AUTH_REJECTED_CODE = 4001;
+const POLICY_VIOLATION_CODE = 1008;
+// Client close code when the server never answers the auth frame
+const AUTH_TIMEOUT_CODE = 4000;
+const AUTH_TIMEOUT_MS = 10000;
+
+// The last token the server rejected, and whether a refresh was already
+// tried for it — so a bad token can't spin the reconnect loop
+let rejectedToken = null;
+let refreshedAfterReject = false;
+
+function setState(next) {
+    if (state !== next) console.log(`[WS] State: ${state} → ${next}`);
+    state = next;
+}
+
+function recordError(message) {
+    lastError = { message, at: Date.now() };
+}
+
+export const PROTOCOL_VERSION = 1;
+
+// Inbound commands the server wants confirmed once applied
+const ACKED_TYPES = new Set([
+    'site_blocked', 'site_unblocked', 'blocked_list_sync',
+    'channel_allowed', 'channel_blocked', 'channel_unlisted', 'channel_list_sync',
+]);
+
+// Outbound frames not yet acked, in chrome.storage.session so a service
+// worker restart doesn't lose them. Stale frames aren't worth resending.
+const OUTBOX_KEY = 'ws_outbox';
+const MAX_OUTBOX = 200;
+const OUTBOX_TTL_MS = 10 * 60 * 1000;
+let outbox = null;
+// Told the id of every outbound frame the server acks (see onAck)
+const ackListeners = [];
+
+// Highest server seq seen on this connection (null until the first one)
+let lastSeq = null;
+// Inbound events are applied one at a time, in arrival order
+let inboundChain = Promise.resolve();
+
+/**
+ * Wrap a message in the protocol envelope.
+ */
+function envelope(type, data = {}) {
+    return {
+        id: crypto.randomUUID(),
+        type,
+        version: PROTOCOL_VERSION,
+        timestamp: new Date().toISOString(),
+        data,
+    };
+}
+
+function sendFrame(socket, frame) {
+    socket.send(JSON.stringify(frame));
+}
+
+async function loadOutbox() {
+    if (!outbox) {
+        const result = await chrome.storage.session.get(OUTBOX_KEY);
+        outbox = result[OUTBOX_KEY] || [];
+    }
+    const cutoff = Date.now() - OUTBOX_TTL_MS;
+    outbox = outbox.filter(frame => Date.parse(frame.timestamp) >= cutoff);
+    return outbox;
+}
+
+function saveOutbox() {
+    chrome.storage.session.set({ [OUTBOX_KEY]: outbox }).catch(() => { });
+}
+
+/**
+ * Resend everything still waiting for an ack, oldest first.
+ */
+async function flushOutbox(socket) {
+    const pending = await loadOutbox();
+    if (pending.length === 0) return;
+    console.log(`[WS] Resending ${pending.length} unacked message(s)`);
+    for (const frame of pending) {
+        if (ws !== socket || !isConnected()) return;
+        sendFrame(socket, frame);
+    }
+    saveOutbox();
+}
+
+async function handleAck(id) {
+    await loadOutbox();
+    const before = outbox.length;
+    outbox = outbox.filter(frame => frame.id !== id);
+    if (outbox.length !== before) saveOutbox();
+    for (const listener of ackListeners) listener(id);
+}
+
+/**
+ * Be told when the server acks an outbound frame. The outbox only lives for
+ * the browser session, so anything that must reach the server for sure
+ * waits for this rather than for sendMessage().
+ * @param {Function} listener Called with the frame id
+ */
+export function onAck(listener) {
+    ackListeners.push(listener);
+}
+
+/**
+ * Track the server's sequence numbers. Returns false for a duplicate
+ * (already applied), and asks for a full resync when one was skipped.
+ */
+function checkSequence(socket, frame) {
+    if (typeof frame.seq !== 'number') return true;
+
+    // A full snapshot resets the baseline whatever came before
+    if (frame.type === 'blocked_list_sync' || lastSeq === null) {
+        lastSeq = frame.seq;
+        return true;
+    }
+    if (frame.seq <= lastSeq) {
+        console.log(`[WS] Duplicate event seq=${frame.seq}, skipping`);
+        return false;
+    }
+    if (frame.seq > lastSeq + 1) {
+        console.log(`[WS] Missed events ${lastSeq + 1}–${frame.seq - 1}, requesting resync`);
+        sendFrame(socket, envelope('sync_blocked', { reason: 'gap', last_seq: lastSeq }));
+    }
+    lastSeq = frame.seq;
+    return true;
+}
+
+/**
+ * Apply an inbound event through the caller's handler, then ack it if
+ * the server asked for one.
+ */
+function dispatch(socket, frame, onMessage) {
+    inboundChain = inboundChain.then(async () => {
+        let result = { ok: true };
+        try {
+            if (onMessage) await onMessage(frame);
+        } catch (e) {
+            console.error(`[WS] Handling ${frame.type} failed:`, e);
+            result = { ok: false, error: e.message };
+        }
+        if (frame.id && ACKED_TYPES.has(frame.type) && ws === socket && socket.readyState === WebSocket.OPEN) {
+            sendFrame(socket, envelope('ack', { id: frame.id, ...result }));
+        }
+    });
+}
 
 /**
  * Connect to WebSocket server.
  * @param {Function} onMessage Callback for incoming messages
  */
 export async function connectWebSocket(onMessage) {
-    const result = await chrome.storage.local.get('auth_token');
-    const token = result.auth_token;
+    messageHandler = onMessage;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    nextRetryAt = null;
+
+    if (navigator.onLine === false) {
+        console.log('[WS] Offline, waiting for the network');
+        setState('offline');
+        return;
+    }
+
+    // Claim the connection before awaiting the token so a second caller
+    // checking needsConnection() doesn't open another socket meanwhile
+    setState('connecting');
+    let token;
+    try {
+        token = await getAccessToken();
+    } catch (e) {
+        console.log('[WS] Token lookup failed:', e.message);
+        setState('disconnected');
+        return;
+    }
 
     if (!token) {
         console.log('[WS] No auth token, skipping connection');
+        setState('disconnected');
+        return;
+    }
+    if (token === rejectedToken) {
+        console.log('[WS] Token was rejected by the server, waiting for a new one');
+        setState('auth_rejected');
         return;
     }
 
     // Close existing connection if any
     if (ws && ws.readyState <= WebSocket.OPEN) {
-        ws.close();
+        const old = ws;
         ws = null;
+        old.close();
     }
+    lastSeq = null;
+    missedHeartbeats = 0;
 
     try {
-        const encodedToken = encodeURIComponent(token);
-        const urlWithToken = `${WS_URL}?token=${encodedToken}`;
-
-        // Log the URL with obfuscated token for debugging
-        const debugUrl = `${WS_URL}?token=${token.substring(0, 8)}...`;
-        console.log(`[WS] Connecting to: ${debugUrl}`);
+        const wsUrl = await getWsUrl();
+        console.log(`[WS] Connecting to: ${wsUrl}`);
 
-        const socket = new WebSocket(urlWithToken);
+        const socket = new WebSocket(wsUrl);
         ws = socket;
+        let authTimer = null;
 
         socket.onopen = () => {
-            console.log('[WS] Connected');
-            reconnectAttempts = 0;
-
             // Guard: only send if this socket is still the active one and is OPEN
-            if (ws === socket && socket.readyState === WebSocket.OPEN) {
-                socket.send(JSON.stringify({ type: 'sync_blocked' }));
-            }
+            if (ws !== socket || socket.readyState !== WebSocket.OPEN) return;
+            console.log('[WS] Connected, authenticating');
+            setState('authenticating');
+            sendFrame(socket, envelope('auth', { token }));
+            authTimer = setTimeout(() => {
+                console.log('[WS] No auth reply, closing');
+                recordError('Server did not answer the auth handshake');
+                socket.close(AUTH_TIMEOUT_CODE, 'auth timeout');
+            }, AUTH_TIMEOUT_MS);
         };
 
         socket.onmessage = (event) => {
+            if (ws !== socket) return;
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                if (onMessage) {
-                    onMessage(data);
-                }
+                data = JSON.parse(event.data);
             } catch (e) {
                 console.error('[WS] Parse error:', e);
+                return;
+            }
+
+            if (data.version > PROTOCOL_VERSION) {
+                console.log(`[WS] Server speaks protocol v${data.version}, this client v${PROTOCOL_VERSION}`);
+            }
+
+            if (data.type === 'auth_ok') {
+                clearTimeout(authTimer);
+                console.log('[WS] Authenticated');
+                setState('connected');
+                connectedAt = Date.now();
+                reconnectAttempts = 0;
+                rejectedToken = null;
+                refreshedAfterReject = false;
+                sendFrame(socket, envelope('sync_blocked'));
+                flushOutbox(socket);
+                return;
             }
+            if (data.type === 'auth_error') {
+                clearTimeout(authTimer);
+                console.log(`[WS] Auth rejected: ${data.data?.reason || 'no reason given'}`);
+                recordError(`Sign-in rejected: ${data.data?.reason || 'no reason given'}`);
+                // The close with AUTH_REJECTED_CODE follows; handled in onclose
+                return;
+            }
+
+            // Nothing but the auth reply is expected before auth_ok
+            if (state !== 'connected') return;
+
+            if (data.type === 'heartbeat_ack') {
+                missedHeartbeats = 0;
+                return;
+            }
+            if (data.type === 'ack') {
+                handleAck(data.data?.id);
+                return;
+            }
+            if (!checkSequence(socket, data)) {
+                // Already applied; the server still wants its ack
+                if (data.id && ACKED_TYPES.has(data.type)) {
+                    sendFrame(socket, envelope('ack', { id: data.id, ok: true }));
+                }
+                return;
+            }
+            dispatch(socket, data, onMessage);
         };
 
         socket.onclose = (event) => {
+            clearTimeout(authTimer);
             console.log(`[WS] Closed: ${event.code} (Reason: ${event.reason || 'none'})`);
-            if (ws === socket) {
-                ws = null;
+            // Only react if this socket dropped on its own — not after
+            // disconnect() or being replaced by a newer connection
+            if (ws !== socket) return;
+            ws = null;
+            connectedAt = null;
+
+            if (event.code === AUTH_REJECTED_CODE || event.code === POLICY_VIOLATION_CODE) {
+                if (!lastError || lastError.at < Date.now() - 5000) {
+                    recordError(`Sign-in rejected (close ${event.code})`);
+                }
+                handleAuthRejected(token);
+                return;
+            }
+            if (event.code !== 1000 && event.code !== AUTH_TIMEOUT_CODE && event.code !== HEARTBEAT_TIMEOUT_CODE) {
+                recordError(`Connection closed (${event.code}${event.reason ? `: ${event.reason}` : ''})`);
             }
-            attemptReconnect(onMessage);
+            scheduleReconnect();
         };
 
         socket.onerror = (error) => {
@@ -80,61 +353,173 @@ export async function connectWebSocket(onMessage) {
         };
     } catch (e) {
         console.error('[WS] Connection setup failed:', e);
-        attemptReconnect(onMessage);
+        recordError(`Connection setup failed: ${e.message}`);
+        scheduleReconnect();
     }
 }
 
 /**
- * Attempt reconnection with exponential backoff.
+ * Stop reconnecting with a token the server refused. One refresh is tried;
+ * a new auth_token in storage makes the background reconnect, and a
+ * refused refresh marks the session expired (see utils/auth.js).
  */
-function attemptReconnect(onMessage) {
-    if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
-        console.log('[WS] Max reconnect attempts reached');
+function handleAuthRejected(token) {
+    rejectedToken = token;
+    reconnectAttempts = 0;
+    setState('auth_rejected');
+    if (refreshedAfterReject) {
+        console.log('[WS] Refreshed token rejected too, staying disconnected');
         return;
     }
+    refreshedAfterReject = true;
+    refreshSession().catch(e => console.log('[WS] Token refresh failed:', e.message));
+}
 
-    const delay = RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts);
+/**
+ * Schedule the next attempt: exponential backoff capped at
+ * RECONNECT_MAX_DELAY, with "equal jitter" (half fixed, half random) so
+ * many clients dropped by one server restart don't reconnect in lockstep.
+ * Never gives up.
+ */
+function scheduleReconnect() {
+    if (navigator.onLine === false) {
+        setState('offline');
+        return;
+    }
+
+    const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts));
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
     reconnectAttempts++;
 
     console.log(`[WS] Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
-    setTimeout(() => connectWebSocket(onMessage), delay);
+    setState('reconnecting');
+    nextRetryAt = Date.now() + delay;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => connectWebSocket(messageHandler), delay);
 }
 
+// Service workers get online/offline too (navigator.onLine)
+self.addEventListener('offline', () => {
+    console.log('[WS] Browser offline');
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    nextRetryAt = null;
+    recordError('Browser went offline');
+    if (ws) {
+        const old = ws;
+        ws = null;
+        old.close();
+    }
+    setState('offline');
+});
+
+self.addEventListener('online', () => {
+    console.log('[WS] Browser online');
+    if (state === 'offline' && messageHandler) {
+        reconnectAttempts = 0;
+        connectWebSocket(messageHandler);
+    }
+});
+
 /**
- * Send heartbeat to keep connection alive.
+ * Send heartbeat to keep connection alive. Closes the socket if the
+ * previous heartbeats were never acked.
  */
 export function sendHeartbeat() {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        ws.send(JSON.stringify({ type: 'heartbeat' }));
+    if (!isConnected()) return;
+
+    if (missedHeartbeats >= MAX_MISSED_HEARTBEATS) {
+        console.log(`[WS] ${missedHeartbeats} heartbeats unanswered, closing half-open socket`);
+        recordError(`No heartbeat reply for ${missedHeartbeats} heartbeats`);
+        // Dropped before close(): a dead socket may never deliver onclose
+        const dead = ws;
+        ws = null;
+        connectedAt = null;
+        dead.close(HEARTBEAT_TIMEOUT_CODE, 'heartbeat timeout');
+        scheduleReconnect();
+        return;
     }
+    missedHeartbeats++;
+    sendFrame(ws, envelope('heartbeat'));
 }
 
 /**
- * Check if WebSocket is connected.
+ * Check if WebSocket is connected and authenticated.
  */
 export function isConnected() {
-    return ws && ws.readyState === WebSocket.OPEN;
+    return !!ws && ws.readyState === WebSocket.OPEN && state === 'connected';
+}
+
+/**
+ * Should the caller (the ws_heartbeat alarm, a status poll) start a
+ * connection? False while one is open, opening, scheduled or pointless.
+ * After a service worker restart the state is back to 'disconnected'
+ * and the pending timer is gone, which is what the alarm is there for.
+ */
+export function needsConnection() {
+    return state === 'disconnected';
+}
+
+/**
+ * Connection state for the side panel.
+ * @returns {{state: string, last_error: Object|null, attempt: number, next_retry_at: number|null, connected_at: number|null}}
+ */
+export function getConnectionState() {
+    return {
+        state,
+        last_error: lastError,
+        attempt: reconnectAttempts,
+        next_retry_at: nextRetryAt,
+        connected_at: connectedAt,
+    };
 }
 
 /**
  * Disconnect WebSocket.
  */
 export function disconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    nextRetryAt = null;
     if (ws) {
-        ws.close();
+        const old = ws;
         ws = null;
+        old.close();
     }
+    connectedAt = null;
+    setState('disconnected');
 }
 
 /**
- * Send an arbitrary JSON message via WebSocket.
- * @param {Object} message The message object to send
+ * Send a message via WebSocket. It is kept in the outbox until the server
+ * acks it, so one sent while disconnected goes out after the next auth_ok.
+ * @param {{type: string, data: Object}} message
+ * @param {Object} [options]
+ * @param {boolean} [options.buffer=true] false for live state that is
+ *   worthless once stale: sent only if connected, never resent
+ * @returns {Promise<string|null>} The envelope id, null if dropped
  */
-export function sendMessage(message) {
-    if (ws && ws.readyState === WebSocket.OPEN) {
+export async function sendMessage(message, { buffer = true } = {}) {
+    const frame = envelope(message.type, message.data);
+
+    if (!buffer) {
+        if (!isConnected()) return null;
+        sendFrame(ws, frame);
+        return frame.id;
+    }
+
+    await loadOutbox();
+    outbox.push(frame);
+    if (outbox.length > MAX_OUTBOX) {
+        outbox.splice(0, outbox.length - MAX_OUTBOX);
+    }
+    saveOutbox();
+
+    if (isConnected()) {
         console.log(`[WS] Sending: ${message.type}`, message.data?.domain, message.data?.page_title);
-        ws.send(JSON.stringify(message));
+        sendFrame(ws, frame);
     } else {
-        console.log(`[WS] Cannot send (ws=${!!ws}, readyState=${ws?.readyState}): ${message.type}`);
+        console.log(`[WS] Not connected, buffered: ${message.type}`);
     }
+    return frame.id;
 }